@@ -1,14 +1,11 @@
 import * as Astronomy from 'https://cdn.jsdelivr.net/npm/astronomy-engine@2.1.19/esm/astronomy.js';
+import { createSuperMonthEngine, zoneForTzKey, zonedWallTimeToUtcMs } from './supermonth-engine.js';
+import { createConstellationEngine } from './constellation-engine.js';
+import { SONG_ROTATION } from './song-rotation.js';
+import { parseCSV, pickField } from './csv.js';
 
 const { DateTime } = luxon;
 
-const TZKEY_MAP = {
-  ET_Toronto: 'America/Toronto',
-  AZ_Phoenix: 'America/Phoenix',
-  QLD_Brisbane: 'Australia/Brisbane',
-  ASTRONOMICAL_UTC: 'UTC',
-};
-
 const DEFAULTS = {
   tamaraTZ: 'America/Phoenix',
   martinTZ: 'Australia/Brisbane',
@@ -40,6 +37,55 @@ const LUNAR_PHASES = {
   }
 };
 
+// Seasons, eclipses, Earth's perihelion/aphelion and supermoons (Filters → Sky Events).
+const SKY_EVENTS = {
+  markers: {
+    season: '✺',
+    lunarEclipse: '◉',
+    solarEclipse: '◎',
+    apsis: '⊙',
+    supermoon: '✪'
+  },
+  seasons: [
+    ['mar_equinox', 'March Equinox'],
+    ['jun_solstice', 'June Solstice'],
+    ['sep_equinox', 'September Equinox'],
+    ['dec_solstice', 'December Solstice']
+  ],
+  supermoonKm: 360000,    // full moon nearer than this counts as a supermoon
+  // Partner cities for local eclipse visibility, by IANA zone.
+  cities: {
+    'America/Phoenix': { name: 'Phoenix', lat: 33.4484, lon: -112.0740 },
+    'America/Toronto': { name: 'Toronto', lat: 43.6532, lon: -79.3832 },
+    'America/New_York': { name: 'New York', lat: 40.7128, lon: -74.0060 },
+    'America/Los_Angeles': { name: 'Los Angeles', lat: 34.0522, lon: -118.2437 },
+    'Australia/Brisbane': { name: 'Brisbane', lat: -27.4698, lon: 153.0251 },
+    'Australia/Sydney': { name: 'Sydney', lat: -33.8688, lon: 151.2093 },
+    'Europe/Dublin': { name: 'Dublin', lat: 53.3498, lon: -6.2603 },
+    'Europe/London': { name: 'London', lat: 51.5074, lon: -0.1278 }
+  }
+};
+
+// Constellation ingress markers (Filters → Constellation Ingress) and the
+// computed MiAViG spans checked against AFdS_MiAViG.csv. Both are kept in
+// localStorage; bump cacheVersion when constellation-engine.js or the pinned
+// Astronomy Engine changes.
+const CONSTELLATIONS = {
+  bodies: { Sun: '☉', Moon: '☽', Mars: '♂', Venus: '♀' },
+  cacheVersion: 1,
+  ingressCacheYears: 12,
+  miavig: {
+    rules: [{ body: 'Mars', symbol: 'Ari' }, { body: 'Venus', symbol: 'Gem' }],
+    label: 'Mars in Aries AND Venus in Gemini',
+    fromYear: 1994,
+    toYear: 2500,
+    minSpanDays: 1,       // shorter overlaps are boundary grazes, not events
+    toleranceDays: 1.5,   // the CSV holds whole dates (the day after each edge)
+    title: 'MiAViG (computed)',
+    category: 'OneOFF_Astro'
+  }
+};
+
 function isFridayDateISO(dateISO){
   const dt = DateTime.fromISO(dateISO, { zone: state.displayTZ });
   return dt.weekday === 5; // Luxon: Mon=1 ... Fri=5 ... Sun=7
@@ -72,89 +118,38 @@ const state = {
   view: 'month',
   displayTZ: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
   focusDateISO: DateTime.now().toISODate(),
-  filters: { superMonths: true, specialDays: true, standardDays: true, oneOff: true },
+  filters: { superMonths: true, specialDays: true, standardDays: true, oneOff: true, sky: true, ingress: true },
   tamaraTZ: DEFAULTS.tamaraTZ,
   martinTZ: DEFAULTS.martinTZ,
   snapshot: null,
   highlightDateISO: null,
   data: {
     config: null,
+    superMonthEngine: null,
+    constellationEngine: null,
+    miavigIds: null,
+    rangesSource: null,          // 'engine', or 'fallback' when the engine could not start
+    rangesFailedYears: new Set(),   // Seoian years the engine threw on
     ranges: null,
     rangesBySeoYear: null,
     monthNoByName: null,
     nameByMonthNo: null,
     syByKey: null,
+    syRuleDefs: null,
+    lunarDefs: null,
     gyDefs: null,
+    csvOneOffDefs: null,
+    computedOneOffDefs: null,
     oneOffDefs: null,
     silentSounds: null,
     overflowSounds: null,
-    overflowSlotOrder: null,
     setDaySongs: null,
     lunarPhases: null,
+    skyFailedYears: new Set(),   // UTC years whose sky events could not be computed
   }
 };
 
 // ---------- Utilities ----------
-function parseCSV(text){
-  const rows = [];
-  let row = [];
-  let cur = '';
-  let inQuotes = false;
-
-  for(let i=0;i<text.length;i++){
-    const ch = text[i];
-    const next = text[i+1];
-
-    if(inQuotes){
-      if(ch === '"' && next === '"'){ cur += '"'; i++; continue; }
-      if(ch === '"'){ inQuotes = false; continue; }
-      cur += ch;
-      continue;
-    }
-
-    if(ch === '"'){ inQuotes = true; continue; }
-    if(ch === ','){ row.push(cur); cur=''; continue; }
-
-    if(ch === '\r'){
-      if(next === '\n') i++;
-      row.push(cur); cur='';
-      if(row.length > 1 || row[0] !== '') rows.push(row);
-      row = [];
-      continue;
-    }
-
-    if(ch === '\n'){
-      row.push(cur); cur='';
-      if(row.length > 1 || row[0] !== '') rows.push(row);
-      row = [];
-      continue;
-    }
-
-    cur += ch;
-  }
-
-  row.push(cur);
-  if(row.length > 1 || row[0] !== '') rows.push(row);
-  if(rows.length === 0) return [];
-
-  const headers = rows[0].map(h => h.trim());
-  if(headers.length && headers[0].startsWith('\ufeff')){
-    headers[0] = headers[0].replace(/^\ufeff/, '');
-  }
-
-  const out = [];
-  for(let r=1;r<rows.length;r++){
-    if(rows[r].every(v => String(v).trim() === '')) continue;
-    const obj = {};
-    for(let c=0;c<headers.length;c++){
-      obj[headers[c]] = (rows[r][c] ?? '').trim();
-    }
-    out.push(obj);
-  }
-
-  return out;
-}
-
 async function fetchTextFirstAvailable(paths){
   for(const path of paths){
     try{
@@ -165,16 +160,6 @@ async function fetchTextFirstAvailable(paths){
   return '';
 }
 
-function pickField(row, candidates){
-  for(const key of candidates){
-    const v = row?.[key];
-    if(v !== undefined && v !== null && String(v).trim() !== ''){
-      return String(v).trim();
-    }
-  }
-  return '';
-}
-
 function toBool(v){
   if(typeof v === 'boolean') return v;
   const s = String(v ?? '').trim().toLowerCase();
@@ -196,6 +181,25 @@ function toInt(v, def=null){
   return Number.isFinite(n) ? n : def;
 }
 
+// localStorage can throw (private mode, quota), so callers always get a value back.
+function loadStored(key, fallback){
+  try{
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  }catch(e){
+    return fallback;
+  }
+}
+
+function saveStored(key, value){
+  try{
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  }catch(e){
+    return false;
+  }
+}
+
 function parseMonthDayFlexible(s){
   const dt = parseDateTimeFlexible(s, 'UTC');
   if(!dt || !dt.isValid) return { month:null, day:null };
@@ -228,6 +232,11 @@ function parseDateTimeFlexible(s, zone){
 function fmtTimeHHMM(dt){ return dt.toFormat('HH:mm'); }
 function pad2(n){ return String(n).padStart(2,'0'); }
 
+// Seoian years before 0001 (Gregorian dates before 19 Jan 1994) keep their sign.
+function fmtSeoianYear(sy){
+  return sy < 0 ? `-${String(-sy).padStart(4,'0')}` : String(sy).padStart(4,'0');
+}
+
 function fmtGreg(dateISO){
   const [y,m,d] = dateISO.split('-').map(Number);
   return `${pad2(d)}/${pad2(m)}/${y}`;
@@ -239,6 +248,13 @@ function seoianYearForGregorian(dateISO){
   return y - 1994;
 }
 
+// First and last Gregorian dates of Seoian year sy (19 January to 18 January).
+function seoianYearBounds(sy){
+  const startISO = `${1993 + sy}-01-19`;
+  const endISO = DateTime.fromISO(`${1994 + sy}-01-19`, {zone:'UTC'}).minus({days:1}).toISODate();
+  return { startISO, endISO };
+}
+
 function seoianLabelWithOverlaps(dateISO){
   const sy = seoianYearForGregorian(dateISO);
   const act = activeSuperMonths(dateISO);
@@ -251,7 +267,7 @@ function seoianLabelWithOverlaps(dateISO){
     const dayInt = Math.floor(day + 1e-9);
     return {
       start: r.start,
-      label: `${pad2(dayInt)}/${pad2(r.monthNo)}/${String(sy).padStart(4,'0')}`
+      label: `${pad2(dayInt)}/${pad2(r.monthNo)}/${fmtSeoianYear(sy)}`
     };
   });
 
@@ -355,77 +371,386 @@ function lunarPhaseNameForQuarter(quarter){
   return key ? (LUNAR_PHASES.names[key] || 'Lunar Phase') : 'Lunar Phase';
 }
 
+function lunarPhaseEvent(quarter, utcDate, zone){
+  const localDT = DateTime.fromJSDate(utcDate, {zone:'utc'}).setZone(zone);
+  return {
+    quarter,
+    phaseKey: lunarPhaseKeyFromQuarter(quarter),
+    phaseName: lunarPhaseNameForQuarter(quarter),
+    marker: lunarMarkerForQuarter(quarter),
+    utcMs: utcDate.getTime(),
+    utcDate,
+    dateISO: localDT.toISODate(),
+    zone,
+    localDT,
+    localTime: localDT.toFormat('HH:mm'),
+    localLabel: `${localDT.toFormat('dd/LL/yyyy HH:mm')} ${zone}`
+  };
+}
+
+// Quarter instants are found once per UTC year (they don't depend on any zone)
+// and state.data.lunarPhases indexes them by date in displayTZ, so a date only
+// costs its own years, however far it is from the ones already shown.
+const lunarYearCache = new Map();
+
+function lunarQuartersInYear(year){
+  if(lunarYearCache.has(year)) return lunarYearCache.get(year);
+
+  const from = utcYearStart(year);
+  const to = utcYearStart(year + 1);
+  const out = [];
+
+  for(let mq = Astronomy.SearchMoonQuarter(from); mq.time.date < to; mq = Astronomy.NextMoonQuarter(mq)){
+    if(lunarPhaseKeyFromQuarter(mq.quarter)) out.push({ quarter: mq.quarter, utcDate: mq.time.date });
+  }
+
+  lunarYearCache.set(year, out);
+  return out;
+}
+
 function buildLunarPhaseCache(){
-  const ranges = state.data.ranges || [];
-  const zone = state.displayTZ || 'UTC';
+  state.data.lunarPhases = { zone: state.displayTZ || 'UTC', byDate: new Map(), years: new Set() };
+}
 
-  let minISO = null;
-  let maxISO = null;
+function ensureLunarYear(year){
+  const cache = state.data.lunarPhases;
+  if(cache.years.has(year)) return;
+  cache.years.add(year);
 
-  for(const r of ranges){
-    if(!minISO || r.start < minISO) minISO = r.start;
-    if(!maxISO || r.end > maxISO) maxISO = r.end;
+  for(const q of lunarQuartersInYear(year)){
+    const event = lunarPhaseEvent(q.quarter, q.utcDate, cache.zone);
+    if(!cache.byDate.has(event.dateISO)) cache.byDate.set(event.dateISO, []);
+    const arr = cache.byDate.get(event.dateISO);
+    arr.push(event);
+    arr.sort((a,b)=> a.utcMs - b.utcMs);
   }
+}
 
-  const startUTC = minISO
-    ? DateTime.fromISO(minISO, {zone:'UTC'}).minus({days:40}).startOf('day')
-    : DateTime.now().toUTC().minus({days:400}).startOf('day');
+function lunarPhasesForDate(dateISO){
+  if(!state.data.lunarPhases || state.data.lunarPhases.zone !== state.displayTZ){
+    buildLunarPhaseCache();
+  }
 
-  const endUTC = maxISO
-    ? DateTime.fromISO(maxISO, {zone:'UTC'}).plus({days:40}).endOf('day')
-    : DateTime.now().toUTC().plus({days:400}).endOf('day');
+  // A display-TZ date can hold instants from the neighbouring UTC years.
+  const year = Number(dateISO.slice(0, 4));
+  for(let y = year - 1; y <= year + 1; y++) ensureLunarYear(y);
 
-  const byDate = new Map();
-  const events = [];
-  const searchStart = startUTC.minus({minutes:1}).toJSDate();
-  const limitMs = endUTC.toMillis();
-
-  let mq = Astronomy.SearchMoonQuarter(searchStart);
-
-  while(mq && mq.time && mq.time.date && mq.time.date.getTime() <= limitMs){
-    const quarter = mq.quarter;
-    const phaseKey = lunarPhaseKeyFromQuarter(quarter);
-
-    if(phaseKey){
-      const utcDate = mq.time.date;
-      const utcMs = utcDate.getTime();
-      const localDT = DateTime.fromJSDate(utcDate, {zone:'utc'}).setZone(zone);
-      const dateISO = localDT.toISODate();
-
-      const event = {
-        quarter,
-        phaseKey,
-        phaseName: lunarPhaseNameForQuarter(quarter),
-        marker: lunarMarkerForQuarter(quarter),
-        utcMs,
-        utcDate,
-        dateISO,
-        zone,
-        localDT,
-        localTime: localDT.toFormat('HH:mm'),
-        localLabel: `${localDT.toFormat('dd/LL/yyyy HH:mm')} ${zone}`
-      };
+  return state.data.lunarPhases.byDate.get(dateISO) || [];
+}
+
+// ---------- Sky events ----------
+// Instants are computed once per UTC year (they don't depend on any zone);
+// state.data.skyEvents indexes them by date in displayTZ, like the lunar cache.
+const skyYearCache = new Map();
+
+function utcYearStart(year){
+  const d = new Date(Date.UTC(2000, 0, 1));
+  d.setUTCFullYear(year);
+  return d;
+}
+
+function capitalize(s){
+  return s ? s[0].toUpperCase() + s.slice(1) : s;
+}
+
+function skyRaw(type, name, time, extra={}){
+  return { type, name, marker: SKY_EVENTS.markers[type] || '•', utcMs: time.date.getTime(), ...extra };
+}
+
+function computeSkyYear(year){
+  const from = utcYearStart(year);
+  const to = utcYearStart(year + 1);
+  const out = [];
+
+  const seasons = Astronomy.Seasons(year);
+  for(const [key, name] of SKY_EVENTS.seasons){
+    out.push(skyRaw('season', name, seasons[key]));
+  }
+
+  for(let e = Astronomy.SearchLunarEclipse(from); e.peak.date < to; e = Astronomy.NextLunarEclipse(e.peak)){
+    out.push(skyRaw('lunarEclipse', `${capitalize(e.kind)} Lunar Eclipse`, e.peak, {
+      eclipseKind: e.kind,
+      obscuration: e.obscuration,
+      semiMinutes: e.sd_partial || e.sd_penum
+    }));
+  }
+
+  for(let e = Astronomy.SearchGlobalSolarEclipse(from); e.peak.date < to; e = Astronomy.NextGlobalSolarEclipse(e.peak)){
+    out.push(skyRaw('solarEclipse', `${capitalize(e.kind)} Solar Eclipse`, e.peak, {
+      eclipseKind: e.kind,
+      obscuration: e.obscuration
+    }));
+  }
 
-      if(!byDate.has(dateISO)) byDate.set(dateISO, []);
-      byDate.get(dateISO).push(event);
-      events.push(event);
+  for(let a = Astronomy.SearchPlanetApsis(Astronomy.Body.Earth, from); a.time.date < to; a = Astronomy.NextPlanetApsis(Astronomy.Body.Earth, a)){
+    out.push(skyRaw('apsis', a.kind === 0 ? 'Perihelion' : 'Aphelion', a.time, { distanceKm: a.dist_km }));
+  }
+
+  for(let t = Astronomy.SearchMoonPhase(180, from, 40); t && t.date < to; t = Astronomy.SearchMoonPhase(180, t.AddDays(1), 40)){
+    const km = Astronomy.GeoMoon(t).Length() * Astronomy.KM_PER_AU;
+    if(km < SKY_EVENTS.supermoonKm) out.push(skyRaw('supermoon', 'Supermoon', t, { distanceKm: km }));
+  }
+
+  for(const [body, utcMs, fromName, toName] of ingressesForYear(year, from, to)){
+    out.push({ type: 'ingress', name: `${body} enters ${toName}`, marker: CONSTELLATIONS.bodies[body], utcMs, body, fromName });
+  }
+
+  return out.filter(e => e.utcMs >= from.getTime() && e.utcMs < to.getTime());
+}
+
+// The ingress scans are the slow part of a sky year, so the last
+// ingressCacheYears years viewed are kept in localStorage.
+const INGRESS_CACHE_KEY = 'afds-ingresses';
+
+function ingressesForYear(year, from, to){
+  const engine = state.data.constellationEngine;
+  if(!engine) return [];
+
+  const stored = loadStored(INGRESS_CACHE_KEY, null);
+  const cache = (stored?.version === CONSTELLATIONS.cacheVersion && Array.isArray(stored.years))
+    ? stored
+    : { version: CONSTELLATIONS.cacheVersion, years: [] };
+
+  const hit = cache.years.find(y => y.year === year);
+  if(hit) return hit.ingresses;
+
+  const ingresses = [];
+  for(const body of Object.keys(CONSTELLATIONS.bodies)){
+    for(const e of engine.ingressesBetween(body, from.getTime(), to.getTime())){
+      ingresses.push([body, e.utcMs, e.from.name, e.to.name]);
     }
+  }
+
+  cache.years.push({ year, ingresses });
+  cache.years = cache.years.slice(-CONSTELLATIONS.ingressCacheYears);
+  saveStored(INGRESS_CACHE_KEY, cache);
+  return ingresses;
+}
+
+function buildSkyEventCache(){
+  state.data.skyEvents = { zone: state.displayTZ || 'UTC', byDate: new Map(), years: new Set() };
+}
+
+function ensureSkyYear(year){
+  const cache = state.data.skyEvents;
+  if(cache.years.has(year)) return;
+  cache.years.add(year);
 
-    mq = Astronomy.NextMoonQuarter(mq);
+  if(!skyYearCache.has(year)){
+    try{
+      skyYearCache.set(year, computeSkyYear(year));
+    }catch(e){
+      state.data.skyFailedYears.add(year);
+      skyYearCache.set(year, []);
+    }
   }
 
-  for(const [, arr] of byDate.entries()){
+  for(const raw of skyYearCache.get(year)){
+    const localDT = DateTime.fromMillis(raw.utcMs, {zone:'utc'}).setZone(cache.zone);
+    const dateISO = localDT.toISODate();
+    const event = {
+      ...raw,
+      zone: cache.zone,
+      localDT,
+      dateISO,
+      localTime: localDT.toFormat('HH:mm'),
+      localLabel: `${localDT.toFormat('dd/LL/yyyy HH:mm')} ${cache.zone}`
+    };
+
+    if(!cache.byDate.has(dateISO)) cache.byDate.set(dateISO, []);
+    const arr = cache.byDate.get(dateISO);
+    arr.push(event);
     arr.sort((a,b)=> a.utcMs - b.utcMs);
   }
+}
+
+function skyEventsForDate(dateISO){
+  if(!state.filters.sky && !state.filters.ingress) return [];
+  if(!state.data.skyEvents || state.data.skyEvents.zone !== state.displayTZ){
+    buildSkyEventCache();
+  }
+
+  // A display-TZ date can hold instants from the neighbouring UTC years.
+  const year = Number(dateISO.slice(0, 4));
+  for(let y = year - 1; y <= year + 1; y++) ensureSkyYear(y);
 
-  state.data.lunarPhases = { zone, byDate, events };
+  return (state.data.skyEvents.byDate.get(dateISO) || [])
+    .filter(e => e.type === 'ingress' ? state.filters.ingress : state.filters.sky);
 }
 
-function lunarPhasesForDate(dateISO){
-  if(!state.data.lunarPhases || state.data.lunarPhases.zone !== state.displayTZ){
-    buildLunarPhaseCache();
+// Call after skyEventsForDate(), which fills (or fails) the date's year.
+function skyEventsUnavailable(dateISO){
+  if(!state.filters.sky && !state.filters.ingress) return false;
+  return state.data.skyFailedYears.has(Number(dateISO.slice(0, 4)));
+}
+
+function skyEventDetail(event){
+  if(event.type === 'ingress') return `from ${event.fromName}`;
+  if(event.type === 'apsis' || event.type === 'supermoon'){
+    return `${Math.round(event.distanceKm).toLocaleString('en')} km`;
+  }
+  if((event.type === 'lunarEclipse' || event.type === 'solarEclipse') && event.obscuration > 0){
+    return `${Math.round(event.obscuration * 100)}% obscured at peak`;
   }
-  return state.data.lunarPhases?.byDate?.get(dateISO) || [];
+  return '';
+}
+
+function skyObserver(zone){
+  const c = SKY_EVENTS.cities[zone];
+  return c ? { city: c.name, observer: new Astronomy.Observer(c.lat, c.lon, 0) } : null;
+}
+
+function moonAltitude(date, observer){
+  const equ = Astronomy.Equator(Astronomy.Body.Moon, date, observer, true, true);
+  return Astronomy.Horizon(date, observer, equ.ra, equ.dec, 'normal').altitude;
+}
+
+// Visibility of an eclipse from one partner's city, with local times.
+function localEclipseLine(event, name, zone){
+  const at = skyObserver(zone);
+  if(!at) return `${name}: no city coordinates for ${zone}`;
+
+  const where = `${name} (${at.city})`;
+  const local = (date)=> DateTime.fromJSDate(date).setZone(zone).toFormat('HH:mm');
+
+  if(event.type === 'lunarEclipse'){
+    const peak = new Date(event.utcMs);
+    const half = (event.semiMinutes || 0) * 60000;
+    const up = [peak.getTime() - half, peak.getTime(), peak.getTime() + half]
+      .some(ms => moonAltitude(new Date(ms), at.observer) > 0);
+    return up
+      ? `${where}: Moon up, peak ${local(peak)} ${zone}`
+      : `${where}: Moon below the horizon`;
+  }
+
+  const found = Astronomy.SearchLocalSolarEclipse(new Date(event.utcMs - 86400000), at.observer);
+  if(Math.abs(found.peak.time.date.getTime() - event.utcMs) > 86400000) return `${where}: not visible`;
+
+  const phases = [found.partial_begin, found.peak, found.partial_end];
+  if(phases.every(p => p.altitude <= 0)) return `${where}: Sun below the horizon`;
+
+  return `${where}: ${found.kind}, ${local(found.partial_begin.time.date)}–${local(found.partial_end.time.date)} ${zone}, ` +
+    `${Math.round(found.obscuration * 100)}% at ${local(found.peak.time.date)}`;
+}
+
+// ---------- Computed MiAViG ----------
+// Spans where every CONSTELLATIONS.miavig rule holds, matched to the CSV rows by
+// overlap. Matching rows get computedSpan (agrees: both edges within
+// toleranceDays); spans with no row become one-offs of their own.
+function computedMiavigDef(span){
+  const cfg = CONSTELLATIONS.miavig;
+  return {
+    id: `MiAViG_Computed_${new Date(span.startMs).toISOString().slice(0, 10)}`,
+    title: cfg.title,
+    notes: `${cfg.label} (computed; no row in AFdS_MiAViG.csv)`,
+    anchorType: 'GY_ONEOFF',
+    category: cfg.category,
+    rank: 3,
+    sequence: 9999,
+    allDay: false,
+    showOnCalendar: true,
+    showInInspector: true,
+    showNotesOnCalendar: false,
+    startUtcMs: span.startMs,
+    endUtcMs: span.endMs,
+    durationMinutes: Math.round((span.endMs - span.startMs) / 60000),
+    originTZ: 'UTC',
+    endTZ: 'UTC',
+    source: 'computed',
+    computedSpan: { ...span, agrees: true }
+  };
+}
+
+function reconcileMiavig(spans){
+  const tol = CONSTELLATIONS.miavig.toleranceDays * 86400000;
+  const rows = (state.data.csvOneOffDefs || []).filter(d => state.data.miavigIds?.has(d.id));
+  const used = new Set();
+  const computed = [];
+
+  for(const span of spans){
+    const row = rows.find(d => !used.has(d.id) && d.startUtcMs < span.endMs + tol && d.endUtcMs > span.startMs - tol);
+    if(!row){
+      computed.push(computedMiavigDef(span));
+      continue;
+    }
+
+    used.add(row.id);
+    const agrees = Math.abs(row.startUtcMs - span.startMs) <= tol && Math.abs(row.endUtcMs - span.endMs) <= tol;
+    row.computedSpan = { ...span, agrees };
+  }
+
+  const missing = rows.filter(d => !used.has(d.id));
+  for(const row of missing) row.computedSpan = { missing: true };
+
+  state.data.computedOneOffDefs = computed;
+  refreshOneOffDefs();
+}
+
+// The 1994–2500 scan takes seconds, so it runs in constellation-worker.js and
+// its spans are kept in localStorage until the rules or cacheVersion change.
+const MIAVIG_CACHE_KEY = 'afds-miavig-spans';
+
+function scanSpansInWorker(scan){
+  return new Promise((resolve, reject)=>{
+    const worker = new Worker(new URL('./constellation-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e)=>{
+      worker.terminate();
+      if(e.data.error) reject(new Error(e.data.error));
+      else resolve(e.data.spans);
+    };
+    worker.onerror = (e)=>{
+      worker.terminate();
+      reject(e.error || new Error(e.message || 'Constellation worker failed.'));
+    };
+    worker.postMessage(scan);
+  });
+}
+
+async function deriveMiavigSpans(){
+  const engine = state.data.constellationEngine;
+  if(!engine) return;
+
+  const cfg = CONSTELLATIONS.miavig;
+  const scan = {
+    rules: cfg.rules,
+    fromMs: utcYearStart(cfg.fromYear).getTime(),
+    toMs: utcYearStart(cfg.toYear + 1).getTime(),
+    options: { minDays: cfg.minSpanDays }
+  };
+  const key = JSON.stringify([CONSTELLATIONS.cacheVersion, scan]);
+
+  const cached = loadStored(MIAVIG_CACHE_KEY, null);
+  if(cached?.key === key && Array.isArray(cached.spans)){
+    reconcileMiavig(cached.spans);
+    return;
+  }
+
+  let spans;
+  try{
+    spans = await scanSpansInWorker(scan);
+  }catch(e){
+    // No module workers, or the worker failed: scan on the page instead.
+    // If that fails too the CSV rows stand unchecked.
+    try{
+      spans = engine.conjunctionSpans(scan.rules, scan.fromMs, scan.toMs, scan.options);
+    }catch(err){
+      return;
+    }
+  }
+
+  saveStored(MIAVIG_CACHE_KEY, { key, spans });
+  reconcileMiavig(spans);
+}
+
+function miavigCheckNote(def){
+  const c = def.computedSpan;
+  if(!c) return '';
+  if(c.missing) return `⚠ No computed span (${CONSTELLATIONS.miavig.label}) matches this row`;
+
+  const fmt = (ms)=> DateTime.fromMillis(ms, {zone:'utc'}).toFormat('dd/LL/yyyy HH:mm');
+  const span = `${fmt(c.startMs)} – ${fmt(c.endMs)} UTC`;
+  if(def.source === 'computed') return `Computed: ${span}`;
+  return c.agrees ? `Computed: ${span}` : `⚠ Computed span differs from this row: ${span}`;
 }
 
 // ---------- Data: SuperMonth ranges ----------
@@ -449,15 +774,63 @@ function buildRangesIndex(ranges){
   return { byYear, monthNoByName, nameByMonthNo };
 }
 
-function activeSuperMonths(dateISO){
+function addRangesToIndex(ranges){
+  const idx = buildRangesIndex(ranges);
+
+  for(const [y, arr] of idx.byYear.entries()){
+    state.data.rangesBySeoYear.set(y, arr);
+  }
+  for(const [name, no] of idx.monthNoByName.entries()){
+    state.data.monthNoByName.set(name, no);
+  }
+  for(const [no, name] of idx.nameByMonthNo.entries()){
+    state.data.nameByMonthNo.set(no, name);
+  }
+
+  state.data.ranges.push(...ranges);
+}
+
+// Ranges for one Seoian year. The engine computes each year on first use;
+// with the fallback file, years outside it are simply absent.
+function rangesForSeoianYear(seoYear){
   if(!state.data.rangesBySeoYear) return [];
+
+  const have = state.data.rangesBySeoYear.get(seoYear);
+  if(have) return have;
+
+  const engine = state.data.superMonthEngine;
+  if(!engine || !Number.isFinite(seoYear)) return [];
+
+  try{
+    addRangesToIndex(engine.rangesForYear(seoYear));
+  }catch(e){
+    state.data.rangesFailedYears.add(seoYear);
+    state.data.rangesBySeoYear.set(seoYear, []);
+  }
+
+  return state.data.rangesBySeoYear.get(seoYear) || [];
+}
+
+// Shown in the Day Inspector when a Seoian year has no SuperMonths because
+// the engine failed on it or the fallback file does not reach it.
+function superMonthsUnavailableNote(seoYear){
+  if(state.data.rangesFailedYears.has(seoYear)){
+    return `⚠ No SuperMonths for Seoian year ${fmtSeoianYear(seoYear)}: the engine failed on this year`;
+  }
+  if(state.data.rangesSource === 'fallback' && !rangesForSeoianYear(seoYear).length){
+    return `⚠ No SuperMonths for Seoian year ${fmtSeoianYear(seoYear)}: outside supermonths_ranges_fallback.json`;
+  }
+  return '';
+}
+
+function activeSuperMonths(dateISO){
   const sy = seoianYearForGregorian(dateISO);
-  const arr = state.data.rangesBySeoYear.get(sy) || [];
+  const arr = rangesForSeoianYear(sy);
   return arr.filter(r => r.start <= dateISO && dateISO <= r.end);
 }
 
 function getRangeForMonth(seoYear, monthNo){
-  const arr = state.data.rangesBySeoYear.get(seoYear) || [];
+  const arr = rangesForSeoianYear(seoYear);
   return arr.find(x => x.monthNo === monthNo) || null;
 }
 
@@ -473,13 +846,13 @@ function canonicalSeoianDate(dateISO){
   const day = DateTime.fromISO(dateISO, {zone:'UTC'})
     .diff(DateTime.fromISO(canonical.start, {zone:'UTC'}), 'days').days + 1;
   const dayInt = Math.floor(day + 1e-9);
-  const label = `${pad2(dayInt)}/${pad2(canonical.monthNo)}/${String(sy).padStart(4,'0')}`;
+  const label = `${pad2(dayInt)}/${pad2(canonical.monthNo)}/${fmtSeoianYear(sy)}`;
 
   return { label, year: sy, monthNo: canonical.monthNo, day: dayInt, canonical, active: act };
 }
 
 function gregorianFromSeoian(dd, mm, yyyy){
-  const arr = state.data.rangesBySeoYear.get(yyyy) || [];
+  const arr = rangesForSeoianYear(yyyy);
   const r = arr.find(x => x.monthNo === mm);
   if(!r) return null;
 
@@ -512,12 +885,96 @@ function oneOffSpanISO(def){
   };
 }
 
+// ---------- Partner itinerary ----------
+// data/AFdS_TZ_Itinerary.csv records where each partner was (Person, From_Date,
+// To_Date, IANA_TZ; a blank To_Date is open-ended), so a date's SuperDay uses the
+// zones they were actually in. Days without a row use the clock selections.
+const ITINERARY_PEOPLE = ['tamara', 'martin'];
+
+function buildItinerary(rows){
+  const out = { tamara: [], martin: [] };
+
+  for(const r of rows){
+    const person = pickField(r, ['Person', 'person', 'Partner', 'partner']).toLowerCase();
+    const from = pickField(r, ['From_Date', 'from_date', 'From', 'from']);
+    const to = pickField(r, ['To_Date', 'to_date', 'To', 'to']);
+    const zone = pickField(r, ['IANA_TZ', 'iana_tz', 'TZ', 'tz', 'Zone', 'zone']);
+
+    if(!ITINERARY_PEOPLE.includes(person)) continue;
+    if(!isValidDateParam(from) || (to && !isValidDateParam(to)) || !isValidZone(zone)) continue;
+
+    out[person].push({ from, to: to || null, zone, notes: pickField(r, ['Notes', 'notes']) });
+  }
+
+  // Latest start first, so a later row wins where ranges overlap.
+  for(const person of ITINERARY_PEOPLE){
+    out[person].sort((a,b)=> b.from.localeCompare(a.from));
+  }
+  return out;
+}
+
+function itineraryStop(person, dateISO){
+  const rows = state.data.itinerary?.[person] || [];
+  return rows.find(r => r.from <= dateISO && (!r.to || dateISO <= r.to)) || null;
+}
+
+// A partner without a row that date keeps their own clock selection;
+// superDayBounds() puts the two zones in east/west order afterwards.
+function partnerZonesForDate(dateISO){
+  const tamara = itineraryStop('tamara', dateISO);
+  const martin = itineraryStop('martin', dateISO);
+  return {
+    tamaraTZ: tamara ? tamara.zone : state.tamaraTZ,
+    martinTZ: martin ? martin.zone : state.martinTZ,
+    tamara,
+    martin
+  };
+}
+
+function superDayBoundsOn(dateISO){
+  const z = partnerZonesForDate(dateISO);
+  return superDayBounds(dateISO, z.tamaraTZ, z.martinTZ);
+}
+
+// ---------- Local one-offs ----------
+// One-offs added in this browser (iCalendar import, meeting planner) live in
+// localStorage and are merged after the CSV ones.
+const LOCAL_ONEOFFS_KEY = 'afds.localOneOffs.v1';
+
+function loadLocalOneOffs(){
+  const arr = loadStored(LOCAL_ONEOFFS_KEY, []);
+  return Array.isArray(arr)
+    ? arr.filter(d => d && d.id && d.title && Number.isFinite(d.startUtcMs) && Number.isFinite(d.endUtcMs))
+    : [];
+}
+
+function saveLocalOneOffs(defs){
+  return saveStored(LOCAL_ONEOFFS_KEY, defs);
+}
+
+function refreshOneOffDefs(){
+  state.data.oneOffDefs = [
+    ...(state.data.csvOneOffDefs || []),
+    ...(state.data.computedOneOffDefs || []),
+    ...loadLocalOneOffs()
+  ];
+  searchIndex = null;
+}
+
 // ---------- Silent Sounds / Overflow ----------
+// 22-character track ID from an open.spotify.com/track/… URL, or null.
+function spotifyTrackId(url){
+  const m = String(url || '').match(/^https:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/([A-Za-z0-9]{22})(?:\?.*)?$/);
+  return m ? m[1] : null;
+}
+
 function normalizeDaySongEntry(entry, source){
+  const url = String(entry?.url || '').trim();
   return {
     title: String(entry?.title || '').trim() || 'Silent Sounds Track',
     artists: String(entry?.artist || '').trim(),
-    url: String(entry?.url || '').trim(),
+    url,
+    trackId: spotifyTrackId(url),
     note: String(entry?.note || '').trim(),
     source
   };
@@ -542,7 +999,45 @@ function buildSetDaySongsIndex(raw){
     recurringByMonthDay.set(monthDay, normalizeDaySongEntry(entry, 'gregorian-recurring'));
   }
 
-  return { exactByDate, recurringByMonthDay };
+  const seoianByDay = new Map();
+  for(const entry of Array.isArray(raw?.seoianRecurring) ? raw.seoianRecurring : []){
+    const m = String(entry?.seoianDay || '').trim().match(/^(\d{2})\/(\d{2})$/);
+    if(!m || Number(m[1]) < 1 || Number(m[2]) < 1 || Number(m[2]) > 13) continue;
+    seoianByDay.set(m[0], normalizeDaySongEntry(entry, 'seoian-recurring'));
+  }
+
+  const ranges = [];
+  (Array.isArray(raw?.range) ? raw.range : []).forEach((entry, order)=>{
+    const range = parseSetDayRange(entry);
+    if(range) ranges.push({ ...normalizeDaySongEntry(entry, 'range'), range, order });
+  });
+
+  return { exactByDate, recurringByMonthDay, seoianByDay, ranges };
+}
+
+// { kind:'dates', from, to } (yyyy-mm-dd, once), { kind:'yearly', from, to }
+// (MM-DD every year, may run past 31 Dec) or { kind:'day', dayId } (every day
+// of a Gregorian Special Day such as TM Time), or null.
+function parseSetDayRange(entry){
+  const dayId = String(entry?.dayId || '').trim();
+  if(dayId) return { kind: 'day', dayId };
+
+  const from = String(entry?.from || '').trim();
+  const to = String(entry?.to || '').trim();
+  if(/^\d{4}-\d{2}-\d{2}$/.test(from) && /^\d{4}-\d{2}-\d{2}$/.test(to) && from <= to) return { kind: 'dates', from, to };
+  if(/^\d{2}-\d{2}$/.test(from) && /^\d{2}-\d{2}$/.test(to)) return { kind: 'yearly', from, to };
+  return null;
+}
+
+// Every Set Day Song entry with its index key, for search and the song report.
+function setDaySongEntries(setDay){
+  if(!setDay) return [];
+  return [
+    ...[...setDay.exactByDate].map(([key, entry]) => ({ key, entry, kindLabel: 'Set Day Song' })),
+    ...[...setDay.seoianByDay].map(([key, entry]) => ({ key, entry, kindLabel: 'Set Day Song (Seoian yearly)' })),
+    ...[...setDay.recurringByMonthDay].map(([key, entry]) => ({ key, entry, kindLabel: 'Set Day Song (yearly)' })),
+    ...setDay.ranges.map((entry) => ({ key: entry.order, entry, kindLabel: 'Set Day Song (range)' })),
+  ];
 }
 
 function hash32_FNV1a(str){
@@ -554,34 +1049,308 @@ function hash32_FNV1a(str){
   return h >>> 0;
 }
 
-function silentSoundForDate(dateISO){
-  const setDaySongs = state.data.setDaySongs;
+// ---------- Song rotation ----------
+// Silent Sounds are dealt one a day in cycles counted from Seoian 01/01/0001
+// (SONG_ROTATION in song-rotation.js): a cycle plays every track in the pool
+// once, shuffled per cycle, so nothing repeats until everything has played
+// (and, with three or more tracks, a cycle never opens with the track that
+// closed the one before).
+//
+// A Set Day Song replaces the track dealt that day and the deck moves on, so
+// adding one changes only its own days.
+//
+// Rows up to baseRows were there from the start. A row with an Added date
+// (yyyy-mm-dd) joins the first cycle starting on or after it, which leaves
+// every earlier day as it was. Rows after baseRows must have one, and never
+// join before the row above them; a later row without an Added date stays out
+// of the rotation (data-check reports it). Days before the epoch repeat the
+// first cycle's pool.
+let songRotation = null;
+
+// Whole days from fromISO to toISO; cheaper than luxon in per-day loops.
+function isoDayDiff(fromISO, toISO){
+  return Math.round((Date.parse(`${toISO}T00:00:00Z`) - Date.parse(`${fromISO}T00:00:00Z`)) / 86400000);
+}
 
-  if(setDaySongs){
-    const exactMatch = setDaySongs.exactByDate.get(dateISO);
-    if(exactMatch) return exactMatch;
+// The rotation slot dateISO is dealt: one per day from the epoch.
+function rotationDayIndex(dateISO){
+  return isoDayDiff(SONG_ROTATION.epochISO, dateISO);
+}
 
-    const monthDay = dateISO.slice(5); // "MM-DD"
-    const recurringMatch = setDaySongs.recurringByMonthDay.get(monthDay);
-    if(recurringMatch) return recurringMatch;
-  }
+function rotationDateForDayIndex(dayIndex){
+  return isoPlusDays(SONG_ROTATION.epochISO, dayIndex);
+}
 
-  const songs = state.data.silentSounds;
-  if(!songs || songs.length === 0) return null;
+// The date each track joins the rotation ('' = from the start, null = never).
+function rotationJoinDates(songs){
+  let floor = '';
+  return songs.map(s => {
+    if(s.row <= SONG_ROTATION.baseRows) return s.added;
+    if(!s.added) return null;
+    if(s.added > floor) floor = s.added;
+    return floor;
+  });
+}
 
-  const key = `SilentSounds|${dateISO}`;
-  const idx = hash32_FNV1a(key) % songs.length;
-  return songs[idx];
+function rotationPool(rot, dateISO){
+  return rot.songs.filter((s, i) => rot.joins[i] !== null && (!rot.joins[i] || rot.joins[i] <= dateISO));
 }
 
-function activeSeoianMonthDayPairs(dateISO){
-  const act = activeSuperMonths(dateISO);
-  if(!act || act.length === 0) return [];
+function buildSongRotation(songs){
+  const rot = {
+    songs,
+    joins: rotationJoinDates(songs),
+    starts: [0],
+    pools: [],
+    orders: new Map()
+  };
+  rot.pools.push(rotationPool(rot, SONG_ROTATION.epochISO));
+  return rot;
+}
 
-  const dUTC = DateTime.fromISO(dateISO, {zone:'UTC'}).startOf('day');
-  const pairs = [];
+// An empty pool (every track Added later) still takes one day, with no track.
+function rotationCycleLength(pool){
+  return Math.max(1, pool.length);
+}
 
-  for(const r of act){
+function rotationCycleFor(rot, slot){
+  if(slot < 0){
+    const len = rotationCycleLength(rot.pools[0]);
+    const k = Math.floor(slot / len);
+    return { k, start: k * len, pool: rot.pools[0] };
+  }
+
+  let last = rot.starts.length - 1;
+  while(rot.starts[last] + rotationCycleLength(rot.pools[last]) <= slot){
+    const start = rot.starts[last] + rotationCycleLength(rot.pools[last]);
+    rot.starts.push(start);
+    rot.pools.push(rotationPool(rot, rotationDateForDayIndex(start)));
+    last++;
+  }
+
+  let lo = 0;
+  let hi = last;
+  while(lo < hi){
+    const mid = (lo + hi + 1) >> 1;
+    if(rot.starts[mid] <= slot) lo = mid;
+    else hi = mid - 1;
+  }
+
+  return { k: lo, start: rot.starts[lo], pool: rot.pools[lo] };
+}
+
+function rotationCycleAt(rot, k){
+  if(k < 0){
+    const len = rotationCycleLength(rot.pools[0]);
+    return { k, start: k * len, pool: rot.pools[0] };
+  }
+  while(rot.starts.length <= k){
+    const last = rot.starts.length - 1;
+    rotationCycleFor(rot, rot.starts[last] + rotationCycleLength(rot.pools[last]));
+  }
+  return { k, start: rot.starts[k], pool: rot.pools[k] };
+}
+
+// Shuffle keyed by Spotify URL, so reordering CSV rows changes nothing.
+function rotationShuffle(cycle){
+  const keyed = cycle.pool.map((song, i) => ({ song, i, h: hash32_FNV1a(`${SONG_ROTATION.seed}|${cycle.k}|${song.url}`) }));
+  keyed.sort((a,b)=> a.h - b.h || a.i - b.i);
+  return keyed.map(x => x.song);
+}
+
+// The shuffle, with the first two tracks swapped when the first is the one
+// the previous cycle's shuffle ended on.
+function rotationOrder(rot, cycle){
+  if(!rot.orders.has(cycle.k)){
+    const order = rotationShuffle(cycle);
+    const prev = rotationShuffle(rotationCycleAt(rot, cycle.k - 1));
+    if(order.length > 2 && order[0].url === prev[prev.length - 1]?.url){
+      [order[0], order[1]] = [order[1], order[0]];
+    }
+    rot.orders.set(cycle.k, order);
+  }
+  return rot.orders.get(cycle.k);
+}
+
+function currentSongRotation(){
+  const songs = state.data.silentSounds;
+  if(!songs || songs.length === 0) return null;
+
+  if(!songRotation || songRotation.songs !== songs){
+    songRotation = buildSongRotation(songs);
+  }
+  return songRotation;
+}
+
+// The last date before dateISO and the first from it that the rotation plays
+// song on, looking up to `cycles` cycles each way from the track's place in
+// each cycle's order. A turn that falls on a Set Day Song day doesn't play.
+function rotationPlaysAround(song, dateISO, cycles){
+  const rot = currentSongRotation();
+  if(!rot) return { prev: null, next: null };
+
+  const slot = rotationDayIndex(dateISO);
+  const k0 = rotationCycleFor(rot, slot).k;
+
+  const playedIn = (k)=>{
+    const cycle = rotationCycleAt(rot, k);
+    const pos = rotationOrder(rot, cycle).findIndex(s => s.url === song.url);
+    if(pos < 0) return null;
+    const s = cycle.start + pos;
+    return setDaySongsForDate(rotationDateForDayIndex(s)).song ? null : s;
+  };
+
+  let prev = null;
+  let next = null;
+  for(let k = k0; k <= k0 + cycles && next === null; k++){
+    const s = playedIn(k);
+    if(s !== null && s >= slot) next = rotationDateForDayIndex(s);
+  }
+  for(let k = k0; k >= k0 - cycles && prev === null; k--){
+    const s = playedIn(k);
+    if(s !== null && s < slot) prev = rotationDateForDayIndex(s);
+  }
+
+  return { prev, next };
+}
+
+// The rotation track dealt for dateISO (a Set Day Song may replace it).
+function rotationSongForDate(dateISO){
+  const rot = currentSongRotation();
+  if(!rot) return null;
+
+  const slot = rotationDayIndex(dateISO);
+  const cycle = rotationCycleFor(rot, slot);
+  return rotationOrder(rot, cycle)[slot - cycle.start] || null;
+}
+
+// ---------- Set Day Songs ----------
+// Set_Day_Songs.json entries replace the rotation on their days. When several
+// match a date, the first of these wins:
+//   1. exactDates          one date (yyyy-mm-dd)
+//   2. seoianRecurring     a Seoian day (DD/MM) every Seoian year
+//   3. gregorianRecurring  a Gregorian day (MM-DD) every year
+//   4. range (dated)       every day from..to (yyyy-mm-dd)
+//   5. range (yearly)      every day from..to (MM-DD), or of Special Day dayId
+// Among matching ranges the shorter one wins, then the later entry. On an
+// overlap day each SuperMonth can have a Seoian song: the newer SuperMonth's
+// (the Day Inspector's primary Seoian date) plays and the others are listed
+// beside it as extras (setDaySongsForDate()). The rotation keeps dealing
+// underneath, so a range such as all of TM Time replaces those days' tracks
+// and they next play in a later cycle.
+
+// Seoian-recurring songs for each SuperMonth holding dateISO, newest SuperMonth first.
+function seoianSetDaySongsForDate(dateISO){
+  const byDay = state.data.setDaySongs?.seoianByDay;
+  if(!byDay?.size) return [];
+
+  return activeSuperMonths(dateISO)
+    .slice()
+    .sort((a,b)=> b.start.localeCompare(a.start) || b.monthNo - a.monthNo)
+    .map(r => {
+      const pair = { monthNo: r.monthNo, day: isoDayDiff(r.start, dateISO) + 1 };
+      const entry = byDay.get(`${pad2(pair.day)}/${pad2(pair.monthNo)}`);
+      return entry ? { ...entry, seoianLabel: seoianDateLabelFromPair(dateISO, pair) } : null;
+    })
+    .filter(Boolean);
+}
+
+function gregorianDayDef(id){
+  return (state.data.gyDefs || []).find(d => d.id === id) || null;
+}
+
+// Special Day occurrences for dayId ranges, per def and year: song search
+// checks a Set Day Song on every turn it finds.
+const setDayOccurrenceCache = new WeakMap();
+
+function setDayOccurrence(def, year){
+  if(!setDayOccurrenceCache.has(def)) setDayOccurrenceCache.set(def, new Map());
+  const byYear = setDayOccurrenceCache.get(def);
+  if(!byYear.has(year)) byYear.set(year, occurrenceRangeForGregorianRule(def, year));
+  return byYear.get(year);
+}
+
+// The occurrence { startISO, endISO } of a range entry that holds dateISO, or null.
+function setDayRangeSpan(range, dateISO){
+  if(range.kind === 'dates'){
+    return (range.from <= dateISO && dateISO <= range.to) ? { startISO: range.from, endISO: range.to } : null;
+  }
+
+  const y = Number(dateISO.slice(0, 4));
+
+  if(range.kind === 'day'){
+    const def = gregorianDayDef(range.dayId);
+    if(!def) return null;
+    return [y - 1, y].map(year => setDayOccurrence(def, year))
+      .find(occ => occ && occ.startISO <= dateISO && dateISO <= occ.endISO) || null;
+  }
+
+  const md = dateISO.slice(5);
+  const iso = (year, monthDay)=> `${String(year).padStart(4, '0')}-${monthDay}`;
+
+  if(range.from <= range.to){
+    return (range.from <= md && md <= range.to) ? { startISO: iso(y, range.from), endISO: iso(y, range.to) } : null;
+  }
+  if(md >= range.from) return { startISO: iso(y, range.from), endISO: iso(y + 1, range.to) };
+  if(md <= range.to) return { startISO: iso(y - 1, range.from), endISO: iso(y, range.to) };
+  return null;
+}
+
+function rangeSetDaySongForDate(dateISO){
+  let best = null;
+
+  for(const entry of state.data.setDaySongs?.ranges || []){
+    const span = setDayRangeSpan(entry.range, dateISO);
+    if(!span) continue;
+
+    const cand = { entry, dated: entry.range.kind === 'dates', days: isoDayDiff(span.startISO, span.endISO) };
+    if(!best ||
+      (cand.dated !== best.dated ? cand.dated : cand.days !== best.days ? cand.days < best.days : cand.entry.order > best.entry.order)){
+      best = cand;
+    }
+  }
+
+  return best?.entry || null;
+}
+
+// { song, extras }: the Set Day Song for dateISO (null if none) and, when it is
+// Seoian-recurring, the other SuperMonths' Seoian songs on that overlap day.
+function setDaySongsForDate(dateISO){
+  const setDaySongs = state.data.setDaySongs;
+  const only = (song)=> ({ song, extras: [] });
+  if(!setDaySongs) return only(null);
+
+  const exactMatch = setDaySongs.exactByDate.get(dateISO);
+  if(exactMatch) return only(exactMatch);
+
+  const seoian = seoianSetDaySongsForDate(dateISO);
+  if(seoian.length) return { song: seoian[0], extras: seoian.slice(1) };
+
+  const monthDay = dateISO.slice(5); // "MM-DD"
+  const recurringMatch = setDaySongs.recurringByMonthDay.get(monthDay);
+  if(recurringMatch) return only(recurringMatch);
+
+  return only(rangeSetDaySongForDate(dateISO));
+}
+
+// { song, extras } for the day: its Set Day Song(s), else the rotation track.
+function silentSoundsForDate(dateISO){
+  const set = setDaySongsForDate(dateISO);
+  return set.song ? set : { song: rotationSongForDate(dateISO), extras: [] };
+}
+
+function silentSoundForDate(dateISO){
+  return silentSoundsForDate(dateISO).song;
+}
+
+function activeSeoianMonthDayPairs(dateISO){
+  const act = activeSuperMonths(dateISO);
+  if(!act || act.length === 0) return [];
+
+  const dUTC = DateTime.fromISO(dateISO, {zone:'UTC'}).startOf('day');
+  const pairs = [];
+
+  for(const r of act){
     const startUTC = DateTime.fromISO(r.start, {zone:'UTC'}).startOf('day');
     const day = dUTC.diff(startUTC, 'days').days + 1;
     const dayInt = Math.floor(day + 1e-9);
@@ -591,7 +1360,8 @@ function activeSeoianMonthDayPairs(dateISO){
         monthNo: r.monthNo,
         day: dayInt,
         monthName: r.monthName,
-        start: r.start
+        start: r.start,
+        end: r.end
       });
     }
   }
@@ -602,7 +1372,7 @@ function activeSeoianMonthDayPairs(dateISO){
 
 function seoianDateLabelFromPair(dateISO, pair){
   const sy = seoianYearForGregorian(dateISO);
-  return `${pad2(pair.day)}/${pad2(pair.monthNo)}/${String(sy).padStart(4,'0')}`;
+  return `${pad2(pair.day)}/${pad2(pair.monthNo)}/${fmtSeoianYear(sy)}`;
 }
 
 function seoianSongSlotsForDate(dateISO){
@@ -626,26 +1396,19 @@ function seoianSongSlotsForDate(dateISO){
   };
 }
 
-function buildOverflowSlotOrder(){
-  const out = [];
-  const ranges = state.data.ranges || [];
-  if(!ranges.length) return out;
-
-  let minStart = null;
-  let maxEnd = null;
+// Each Seoian year deals the Overflow tracks round-robin through its overlap
+// slots, starting at a track picked from the year alone, so a year never
+// needs the ones before it worked out.
+const overflowYearCache = new Map();
 
-  for(const r of ranges){
-    if(!minStart || r.start < minStart) minStart = r.start;
-    if(!maxEnd || r.end > maxEnd) maxEnd = r.end;
-  }
+function overflowSlotsForYear(seoYear){
+  if(overflowYearCache.has(seoYear)) return overflowYearCache.get(seoYear);
 
-  if(!minStart || !maxEnd) return out;
-
-  let cursor = DateTime.fromISO(minStart, {zone:'UTC'}).startOf('day');
-  const end = DateTime.fromISO(maxEnd, {zone:'UTC'}).startOf('day');
+  const out = [];
+  const { startISO, endISO } = seoianYearBounds(seoYear);
 
-  while(cursor <= end){
-    const dateISO = cursor.toISODate();
+  for(let i=0;i<daysInclusive(startISO, endISO);i++){
+    const dateISO = isoPlusDays(startISO, i);
     const slots = seoianSongSlotsForDate(dateISO);
     const overlaps = slots.overlaps || [];
 
@@ -657,40 +1420,36 @@ function buildOverflowSlotOrder(){
         day: slot.day
       });
     }
-
-    cursor = cursor.plus({days:1});
   }
 
+  overflowYearCache.set(seoYear, out);
   return out;
 }
 
+function overflowSongForSlot(seoYear, index){
+  const songs = state.data.overflowSounds;
+  return songs[(hash32_FNV1a(`Overflow|${seoYear}`) + index) % songs.length];
+}
+
 function overflowSongsForDate(dateISO){
   const songs = state.data.overflowSounds || [];
-  const slotOrder = state.data.overflowSlotOrder || [];
+  if(!songs.length) return [];
 
-  if(!songs.length || !slotOrder.length) return [];
-
-  const matches = slotOrder.filter(slot => slot.dateISO === dateISO);
-  if(!matches.length) return [];
-
-  return matches.map((slot, idx) => {
-    const absoluteIndex = slotOrder.findIndex(
-      s =>
-        s.dateISO === slot.dateISO &&
-        s.seoianLabel === slot.seoianLabel &&
-        s.monthNo === slot.monthNo &&
-        s.day === slot.day
-    );
+  const sy = seoianYearForGregorian(dateISO);
+  const out = [];
 
-    const song = songs[absoluteIndex % songs.length];
-    return {
-      ...song,
+  overflowSlotsForYear(sy).forEach((slot, i)=>{
+    if(slot.dateISO !== dateISO) return;
+    out.push({
+      ...overflowSongForSlot(sy, i),
       seoianLabel: slot.seoianLabel,
       monthNo: slot.monthNo,
       day: slot.day,
-      sequenceInDay: idx
-    };
+      sequenceInDay: out.length
+    });
   });
+
+  return out;
 }
 
 // ---------- Rendering ----------
@@ -913,8 +1672,10 @@ function render(){
   closeMorePopover();
 
   const seo = canonicalSeoianDate(state.focusDateISO);
-  if(seo.canonical){
-    el('calTitle').textContent = `${seo.canonical.monthName}, ${String(seo.year).padStart(4,'0')}`;
+  if(state.view === 'year'){
+    el('calTitle').textContent = `Seoian Year ${fmtSeoianYear(seo.year)}`;
+  }else if(seo.canonical){
+    el('calTitle').textContent = `${seo.canonical.monthName}, ${fmtSeoianYear(seo.year)}`;
   }else{
     el('calTitle').textContent = monthTitle(state.focusDateISO, state.displayTZ);
   }
@@ -922,6 +1683,8 @@ function render(){
   renderCenter();
   renderInspector();
   renderMobileSheetMirrors();
+  syncUrlState();
+  savePreferences();
 }
 
 function renderCenter(){
@@ -931,6 +1694,7 @@ function renderCenter(){
   if(state.view === 'month') surf.appendChild(renderMonthView());
   if(state.view === 'week') surf.appendChild(renderWeekView());
   if(state.view === 'list') surf.appendChild(renderListView());
+  if(state.view === 'year') surf.appendChild(renderYearView());
 }
 
 function renderMonthView(){
@@ -1042,8 +1806,12 @@ function renderMonthView(){
       if(sd.textContent === '—') sd.textContent = '';
       day.appendChild(sd);
 
+      const marker = noteMarker(dateISO);
+      if(marker) day.appendChild(marker);
+
       const lunarEvents = lunarPhasesForDate(dateISO);
-      if(lunarEvents.length){
+      const skyEvents = skyEventsForDate(dateISO);
+      if(lunarEvents.length || skyEvents.length){
         const lunar = document.createElement('div');
         lunar.className = 'lunar-markers';
 
@@ -1056,6 +1824,15 @@ function renderMonthView(){
           lunar.appendChild(marker);
         }
 
+        for(const event of skyEvents){
+          const marker = document.createElement('span');
+          marker.className = `lunar-marker sky-marker sky-${event.type}`;
+          marker.textContent = event.marker;
+          marker.title = `${event.name} • ${event.localLabel}`;
+          marker.setAttribute('aria-label', `${event.name} at ${event.localLabel}`);
+          lunar.appendChild(marker);
+        }
+
         day.appendChild(lunar);
       }
 
@@ -1118,6 +1895,161 @@ function renderMonthView(){
   return wrap;
 }
 
+// Seoian year overview: one mini-grid per SuperMonth. Days shared with another
+// SuperMonth are shaded as overlap zones.
+function renderYearView(){
+  const wrap = document.createElement('div');
+  wrap.className = 'year';
+
+  const sy = canonicalSeoianDate(state.focusDateISO).year;
+  const ranges = rangesForSeoianYear(sy);
+
+  // Neighbouring years too: Aisling of sy-1 runs into Bairille of sy.
+  const allRanges = [
+    ...rangesForSeoianYear(sy - 1),
+    ...ranges,
+    ...rangesForSeoianYear(sy + 1),
+  ];
+
+  if(!ranges.length){
+    const empty = document.createElement('div');
+    empty.className = 'muted year-empty';
+    empty.textContent = `No SuperMonths for Seoian year ${fmtSeoianYear(sy)}.`;
+    wrap.appendChild(empty);
+    return wrap;
+  }
+
+  const yearStartISO = ranges.reduce((min, r) => r.start < min ? r.start : min, ranges[0].start);
+  const yearEndISO = ranges.reduce((max, r) => r.end > max ? r.end : max, ranges[0].end);
+
+  const oneOffByDay = state.filters.oneOff
+    ? groupOneOffsByDay(yearStartISO, yearEndISO, 'calendar')
+    : new Map();
+
+  const todayISO = DateTime.now().setZone(state.displayTZ).toISODate();
+  const specialByDay = new Map();
+
+  function specialsFor(dateISO){
+    if(!state.filters.specialDays) return [];
+    if(!specialByDay.has(dateISO)){
+      specialByDay.set(dateISO, recurringDayDefsForDate(dateISO, 'showOnCalendar').filter(d => isSpecialCategory(d.category)));
+    }
+    return specialByDay.get(dateISO);
+  }
+
+  for(const r of ranges){
+    const mini = document.createElement('div');
+    mini.className = 'year-month';
+
+    const head = document.createElement('div');
+    head.className = 'year-month-head';
+
+    const name = document.createElement('div');
+    name.className = 'year-month-name';
+    name.textContent = `${pad2(r.monthNo)} ${r.monthName}`;
+    head.appendChild(name);
+
+    const span = document.createElement('div');
+    span.className = 'year-month-span';
+    span.textContent = `${fmtGreg(r.start)} – ${fmtGreg(r.end)}`;
+    head.appendChild(span);
+
+    head.addEventListener('click', ()=>{
+      state.view = 'month';
+      state.focusDateISO = r.start;
+      el('viewSelect').value = 'month';
+      render();
+    });
+    mini.appendChild(head);
+
+    const grid = document.createElement('div');
+    grid.className = 'year-grid';
+
+    for(const d of DOW){
+      const cell = document.createElement('div');
+      cell.className = 'year-dow';
+      cell.textContent = d.slice(0, 1);
+      grid.appendChild(cell);
+    }
+
+    const start = startOfWeekSunday(DateTime.fromISO(r.start, {zone: state.displayTZ}));
+    const end = endOfWeekSaturday(DateTime.fromISO(r.end, {zone: state.displayTZ}));
+
+    for(let cursor = start; cursor <= end; cursor = cursor.plus({days:1})){
+      const dateISO = cursor.toISODate();
+      const cell = document.createElement('div');
+      cell.className = 'year-day';
+
+      if(dateISO < r.start || dateISO > r.end){
+        cell.classList.add('outside');
+        grid.appendChild(cell);
+        continue;
+      }
+
+      const dayNo = daysInclusive(r.start, dateISO);
+      cell.textContent = String(dayNo);
+
+      const title = [`${pad2(dayNo)}/${pad2(r.monthNo)}/${fmtSeoianYear(sy)} • ${fmtGreg(dateISO)}`];
+
+      if(state.filters.superMonths){
+        const others = allRanges.filter(o => o !== r && o.start <= dateISO && dateISO <= o.end);
+        if(others.length){
+          cell.classList.add('overlap');
+          title.push(`Overlaps ${others.map(o => o.monthName).join(', ')}`);
+        }
+      }
+
+      const specials = specialsFor(dateISO);
+      if(specials.length){
+        cell.classList.add('special');
+        title.push(...specials.map(d => d.title));
+      }
+
+      const marks = document.createElement('div');
+      marks.className = 'year-marks';
+
+      for(const event of lunarPhasesForDate(dateISO)){
+        const marker = document.createElement('span');
+        marker.className = `year-lunar lunar-${event.phaseKey}`;
+        marker.textContent = event.marker;
+        marks.appendChild(marker);
+        title.push(`${event.phaseName} • ${event.localLabel}`);
+      }
+
+      for(const event of skyEventsForDate(dateISO)){
+        const marker = document.createElement('span');
+        marker.className = `year-lunar sky-${event.type}`;
+        marker.textContent = event.marker;
+        marks.appendChild(marker);
+        title.push(`${event.name} • ${event.localLabel}`);
+      }
+
+      const oneOffs = oneOffByDay.get(dateISO) || [];
+      if(oneOffs.length){
+        const dot = document.createElement('span');
+        dot.className = 'year-dot';
+        marks.appendChild(dot);
+        title.push(...oneOffs.map(ev => ev.title));
+      }
+
+      if(marks.childNodes.length) cell.appendChild(marks);
+
+      if(dateISO === todayISO) cell.classList.add('today');
+      if(state.highlightDateISO && dateISO === state.highlightDateISO) cell.classList.add('highlight');
+
+      cell.title = title.join('\n');
+      cell.addEventListener('click', ()=> snapshotDay(dateISO));
+
+      grid.appendChild(cell);
+    }
+
+    mini.appendChild(grid);
+    wrap.appendChild(mini);
+  }
+
+  return wrap;
+}
+
 function renderWeekView(){
   const wrap = document.createElement('div');
   wrap.className = 'week';
@@ -1127,8 +2059,18 @@ function renderWeekView(){
   const header = document.createElement('div');
   header.className = 'week-dow';
 
+  // The gutter's two zones are the focused day's (itinerary or clock selections).
+  const focusBounds = superDayBoundsOn(state.focusDateISO);
+  const gutterZones = [focusBounds.east, focusBounds.west];
+
   const spacer = document.createElement('div');
   spacer.className = 'week-dow-spacer';
+  for(const zone of gutterZones){
+    const z = document.createElement('span');
+    z.textContent = zoneShortName(zone);
+    z.title = zone;
+    spacer.appendChild(z);
+  }
   header.appendChild(spacer);
 
   const showGreg = el('toggleGregorian').checked;
@@ -1146,6 +2088,9 @@ function renderWeekView(){
     main.textContent = (label && label !== '—') ? `${DOW[i]} ${label}` : `${DOW[i]}`;
     cell.appendChild(main);
 
+    const marker = noteMarker(dateISO);
+    if(marker) main.appendChild(marker);
+
     if(showGreg){
       const sub = document.createElement('div');
       sub.className = 'week-dow-sub';
@@ -1189,86 +2134,164 @@ function renderWeekView(){
 
   wrap.appendChild(barsEl);
 
-  const bounds = superDayBounds(state.focusDateISO, state.tamaraTZ, state.martinTZ);
-  const durMs = bounds.end.toUTC().toMillis() - bounds.start.toUTC().toMillis();
-  const nHoursRounded = ceilToHalfHourHours(durMs / 3600000);
-  const extraCount = Math.max(0, Math.ceil(nHoursRounded) - 24);
-
   const grid = document.createElement('div');
   grid.className = 'week-grid';
 
-  const cellMap = new Map();
+  const gutterDay = DateTime.fromISO(state.focusDateISO, {zone: state.displayTZ}).startOf('day');
 
   for(let h=0; h<24; h++){
     const lbl = document.createElement('div');
     lbl.className = 'time-label';
-
-    const primary = document.createElement('span');
-    primary.className = 'main';
-    primary.textContent = `${String(h).padStart(2,'0')}:00`;
-    lbl.appendChild(primary);
-
-    const ov = document.createElement('span');
-    ov.className = 'ov';
-    ov.textContent = (h < extraCount) ? `${String(24+h).padStart(2,'0')}:00` : '';
-    lbl.appendChild(ov);
-
+    lbl.style.gridRow = `${h+1}`;
+    lbl.style.gridColumn = '1';
+
+    const at = gutterDay.set({hour:h});
+    for(const zone of gutterZones){
+      const span = document.createElement('span');
+      span.textContent = at.setZone(zone).toFormat('HH:mm');
+      lbl.appendChild(span);
+    }
+    lbl.title = `${at.toFormat('HH:mm')} ${state.displayTZ}`;
     grid.appendChild(lbl);
 
     for(let d=0; d<7; d++){
       const cell = document.createElement('div');
       cell.className = 'week-cell';
-      const dateISO = dt.plus({days:d}).toISODate();
-      cell.dataset.date = dateISO;
-      cell.dataset.hour = String(h);
-      cellMap.set(`${dateISO}|${String(h).padStart(2,'0')}`, cell);
+      cell.style.gridRow = `${h+1}`;
+      cell.style.gridColumn = `${d+2}`;
       grid.appendChild(cell);
     }
   }
 
-  renderOneOffBlocksInWeek(cellMap, weekStartISO, weekEndISO);
+  const byDay = groupOneOffsByDay(weekStartISO, weekEndISO, 'calendar');
+
+  for(let d=0; d<7; d++){
+    const dateISO = dt.plus({days:d}).toISODate();
+    const col = document.createElement('div');
+    col.className = 'week-daycol';
+    col.style.gridRow = '1 / 25';
+    col.style.gridColumn = `${d+2}`;
+    col.addEventListener('click', ()=> snapshotDay(dateISO));
+
+    renderSuperDayShading(col, dateISO);
+    renderLunarMarksInWeek(col, dateISO);
+    renderOneOffBlocksInWeek(col, dateISO, byDay.get(dateISO) || []);
+
+    grid.appendChild(col);
+  }
 
   wrap.appendChild(grid);
   return wrap;
 }
 
-function renderOneOffBlocksInWeek(cellMap, weekStartISO, weekEndISO){
-  if(!enabledForOneOff()) return;
+// Week grid rows are display-TZ wall-clock hours; these place instants on them.
+function weekRowHeightPx(){
+  return parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--week-row-h')) || 56;
+}
 
-  const byDay = groupOneOffsByDay(weekStartISO, weekEndISO, 'calendar');
+function minutesIntoDay(t, dayStart){
+  if(t <= dayStart) return 0;
+  if(t >= dayStart.plus({days:1})) return 24 * 60;
+  const local = t.setZone(dayStart.zone);
+  return local.hour * 60 + local.minute + local.second / 60;
+}
+
+function weekSpanEl(className, dayStart, from, to){
+  const ROW_H = weekRowHeightPx();
+  const top = minutesIntoDay(from, dayStart);
+  const bottom = minutesIntoDay(to, dayStart);
+  if(bottom <= top) return null;
+
+  const span = document.createElement('div');
+  span.className = className;
+  span.style.top = `${(top / 60) * ROW_H}px`;
+  span.style.height = `${((bottom - top) / 60) * ROW_H}px`;
+  return span;
+}
 
-  const ROW_H = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--week-row-h')) || 56;
-  const MIN_H = 18;
+// Shades the part of this date's SuperDay that falls in the column: darker
+// while it is this date for both zones, lighter while only one has begun it.
+function renderSuperDayShading(col, dateISO){
+  const dayStart = DateTime.fromISO(dateISO, {zone: state.displayTZ}).startOf('day');
+  const b = superDayBoundsOn(dateISO);
+  const westStart = DateTime.fromISO(dateISO, {zone: b.west}).startOf('day');
+  const eastEnd = DateTime.fromISO(dateISO, {zone: b.east}).plus({days:1}).startOf('day');
+  const end = b.end.plus({milliseconds:1});
+
+  const day = fmtGreg(dateISO);
+  const bands = b.same
+    ? [['both', b.start, end, `SuperDay ${day}`]]
+    : [
+      ['one', b.start, westStart, `SuperDay ${day}: begun in ${zoneShortName(b.east)}, not yet in ${zoneShortName(b.west)}`],
+      ['both', westStart, eastEnd, `SuperDay ${day}: ${day} in both zones`],
+      ['one', eastEnd, end, `SuperDay ${day}: over in ${zoneShortName(b.east)}, still ${day} in ${zoneShortName(b.west)}`],
+    ];
 
-  for(const [dateISO, events] of byDay.entries()){
-    for(const ev of events){
-      let start = ev.startLocal;
-      let remainingMin = ev.durationMinutes || 30;
+  for(const [kind, from, to, title] of bands){
+    const band = weekSpanEl(`superday-band ${kind}`, dayStart, from, to);
+    if(!band) continue;
+    band.title = title;
+    col.appendChild(band);
+  }
+}
 
-      while(remainingMin > 0){
-        const hourKey = `${dateISO}|${String(start.hour).padStart(2,'0')}`;
-        const cell = cellMap.get(hourKey);
-        const minInHour = start.minute;
-        const cap = 60 - minInHour;
-        const take = Math.min(remainingMin, cap);
+function renderLunarMarksInWeek(col, dateISO){
+  const dayStart = DateTime.fromISO(dateISO, {zone: state.displayTZ}).startOf('day');
+  const ROW_H = weekRowHeightPx();
+
+  for(const event of lunarPhasesForDate(dateISO)){
+    const mark = document.createElement('div');
+    mark.className = 'week-lunar';
+    mark.style.top = `${(minutesIntoDay(event.localDT, dayStart) / 60) * ROW_H}px`;
+    mark.textContent = `${event.marker} ${event.phaseName} ${event.localTime}`;
+    mark.title = `${event.phaseName} • ${event.localLabel}`;
+    col.appendChild(mark);
+  }
 
-        if(cell){
-          const block = document.createElement('div');
-          block.className = 'oneoff-block';
+  for(const event of skyEventsForDate(dateISO)){
+    const mark = document.createElement('div');
+    mark.className = `week-lunar week-sky sky-${event.type}`;
+    mark.style.top = `${(minutesIntoDay(event.localDT, dayStart) / 60) * ROW_H}px`;
+    mark.textContent = `${event.marker} ${event.name} ${event.localTime}`;
+    mark.title = `${event.name} • ${event.localLabel}`;
+    col.appendChild(mark);
+  }
+}
 
-          const top = (minInHour / 60) * ROW_H;
-          const height = Math.max(MIN_H, (take / 60) * ROW_H);
+function renderOneOffBlocksInWeek(col, dateISO, events){
+  const dayStart = DateTime.fromISO(dateISO, {zone: state.displayTZ}).startOf('day');
+  const dayEnd = dayStart.plus({days:1});
 
-          block.style.top = `${top}px`;
-          block.style.height = `${height}px`;
-          block.textContent = ev.title;
-          cell.appendChild(block);
-        }
+  // Side-by-side lanes for one-offs that overlap within the day.
+  const laneEnds = [];
+  const placed = [];
+  for(const ev of events){
+    const from = ev.startLocal < dayStart ? dayStart : ev.startLocal;
+    const to = ev.endLocal > dayEnd ? dayEnd : ev.endLocal;
+    let lane = laneEnds.findIndex(t => t <= from);
+    if(lane < 0){ lane = laneEnds.length; laneEnds.push(to); }
+    else laneEnds[lane] = to;
+    placed.push({ ev, from, to, lane });
+  }
 
-        remainingMin -= take;
-        start = start.plus({minutes: take});
-      }
-    }
+  const lanes = Math.max(1, laneEnds.length);
+
+  for(const { ev, from, to, lane } of placed){
+    const block = weekSpanEl('oneoff-block', dayStart, from, to);
+    if(!block) continue;
+
+    block.style.left = `calc(${(lane / lanes) * 100}% + 2px)`;
+    block.style.width = `calc(${100 / lanes}% - 4px)`;
+    block.style.right = 'auto';
+
+    const time = document.createElement('span');
+    time.className = 'when';
+    time.textContent = ev.startLocal.toFormat('HH:mm');
+    block.appendChild(time);
+    block.appendChild(document.createTextNode(` ${ev.title}`));
+
+    block.title = `${ev.title} • ${ev.startLocal.toFormat(ev.startLocal.second ? 'HH:mm:ss' : 'HH:mm')}–${ev.endLocal.toFormat('HH:mm')} ${state.displayTZ}`;
+    col.appendChild(block);
   }
 }
 
@@ -1387,6 +2410,66 @@ function enabledForCategory(cat){
 
 function enabledForOneOff(){ return !!state.filters.oneOff; }
 
+// Seoian rules (SY_Month blank = every SuperMonth). Each is checked against
+// every active SuperMonth's own start/end, so an overlap day can match twice.
+const SY_RULE_ANCHORS = ['SY_NTH_DOW', 'SY_LAST_DOW', 'SY_LAST_DAY', 'SY_FULL_MOON', 'SY_EVERY_NTH_DAY'];
+
+function isSeoianAnchor(anchorType){
+  return anchorType === 'SY' || SY_RULE_ANCHORS.includes(anchorType);
+}
+
+function hasFullMoon(dateISO){
+  return lunarPhasesForDate(dateISO).some(e => e.phaseKey === 'full');
+}
+
+// Full-moon dates of one SuperMonth, per display TZ.
+const superMonthFullMoonCache = new Map();
+
+function superMonthFullMoons(pair){
+  const key = `${state.displayTZ}|${pair.start}|${pair.end}`;
+  if(!superMonthFullMoonCache.has(key)){
+    const dates = [];
+    for(let iso = pair.start; iso <= pair.end; iso = isoPlusDays(iso, 1)){
+      if(hasFullMoon(iso)) dates.push(iso);
+    }
+    superMonthFullMoonCache.set(key, dates);
+  }
+  return superMonthFullMoonCache.get(key);
+}
+
+// pair: {monthNo, day, start, end} for one SuperMonth holding dateISO.
+function seoianRuleMatches(def, dateISO, pair){
+  if(def.syMonth && def.syMonth !== pair.monthNo) return false;
+
+  const t = def.anchorType;
+  const weekday = DateTime.fromISO(dateISO, {zone:'UTC'}).weekday;
+
+  if(t === 'SY_NTH_DOW'){
+    return weekday === weekdayToLuxon(def.weekday) && Math.ceil(pair.day / 7) === def.nth;
+  }
+
+  if(t === 'SY_LAST_DOW'){
+    return weekday === weekdayToLuxon(def.weekday) && isoPlusDays(dateISO, 7) > pair.end;
+  }
+
+  if(t === 'SY_LAST_DAY') return dateISO === pair.end;
+
+  // Full moons are dated in the display TZ, like the lunar markers.
+  if(t === 'SY_FULL_MOON'){
+    if(!hasFullMoon(dateISO)) return false;
+    if(!def.nth) return true;
+    return superMonthFullMoons(pair)[def.nth - 1] === dateISO;
+  }
+
+  if(t === 'SY_EVERY_NTH_DAY'){
+    if(!def.nth || def.nth < 1) return false;
+    const first = def.syDay || def.nth;
+    return pair.day >= first && (pair.day - first) % def.nth === 0;
+  }
+
+  return false;
+}
+
 function syEventDefsForDate(dateISO){
   if(!state.data.syByKey) return [];
 
@@ -1398,7 +2481,10 @@ function syEventDefsForDate(dateISO){
 
   for(const p of pairs){
     const key = `${p.monthNo}-${p.day}`;
-    const arr = state.data.syByKey.get(key) || [];
+    const arr = [
+      ...(state.data.syByKey.get(key) || []),
+      ...(state.data.syRuleDefs || []).filter(def => seoianRuleMatches(def, dateISO, p)),
+    ];
 
     for(const def of arr){
       if(!enabledForCategory(def.category)) continue;
@@ -1579,42 +2665,178 @@ function gregorianDefsForDate(dateISO){
   return out;
 }
 
-// End-exclusive day grouping.
-// Context rules:
-// - 'calendar' => SHORT one-offs only (and showOnCalendar)
-// - 'list'     => ALL one-offs (showOnCalendar)
-// - 'inspector'=> ALL one-offs (showInInspector)
-function groupOneOffsByDay(rangeStartISO, rangeEndISO, context='calendar'){
-  const out = new Map();
-  if(!state.data.oneOffDefs || !enabledForOneOff()) return out;
+// ---------- Lunar rules ----------
+// Day defs anchored to quarter instants from the lunar cache (display TZ):
+//   LUNAR_FULL_AFTER      Nth (default 1) full moon on or after GY_Month/GY_Day, each Gregorian year
+//   LUNAR_NEW_IN_SM       new moon(s) inside SuperMonth SY_Month (Nth picks one), each Seoian year
+//   LUNAR_QUARTER_OFFSET  Offset_Days after every Lunar_Quarter (new/first/full/last or 0–3)
+const LUNAR_ANCHORS = ['LUNAR_FULL_AFTER', 'LUNAR_NEW_IN_SM', 'LUNAR_QUARTER_OFFSET'];
 
-  const rangeStart = DateTime.fromISO(rangeStartISO, {zone: state.displayTZ}).startOf('day');
-  const rangeEndExclusive = DateTime.fromISO(rangeEndISO, {zone: state.displayTZ}).plus({days:1}).startOf('day');
+// Per display TZ, rule and year; the quarters never change once computed.
+const lunarRuleCache = new Map();
 
-  const rangeStartMs = rangeStart.toMillis();
-  const rangeEndMsExclusive = rangeEndExclusive.toMillis();
+function lunarQuarterKey(v){
+  const s = String(v ?? '').trim().toLowerCase();
+  if(/^[0-3]$/.test(s)) return lunarPhaseKeyFromQuarter(Number(s));
+  return ['new', 'first', 'full', 'last'].find(k => s.startsWith(k)) || null;
+}
 
-  for(const def of state.data.oneOffDefs){
-    const allow = (context === 'inspector') ? def.showInInspector : def.showOnCalendar;
-    if(!allow) continue;
+function lunarQuartersBetween(phaseKey, fromISO, toISO){
+  const out = [];
+  for(let iso = fromISO; iso <= toISO; iso = isoPlusDays(iso, 1)){
+    for(const e of lunarPhasesForDate(iso)){
+      if(e.phaseKey === phaseKey) out.push(e);
+    }
+  }
+  return out;
+}
 
-    if(context === 'calendar' && isMultiDayOneOff(def)) continue;
+function lunarHit(phase, offsetDays=0){
+  const localDT = offsetDays ? phase.localDT.plus({days: offsetDays}) : phase.localDT;
+  return { phase, localDT, dateISO: localDT.toISODate(), offsetDays };
+}
 
-    const startLocal = DateTime.fromMillis(def.startUtcMs, {zone:'utc'}).setZone(state.displayTZ);
-    const endLocal = DateTime.fromMillis(def.endUtcMs, {zone:'utc'}).setZone(state.displayTZ);
+function cachedLunarHits(def, period, compute){
+  const key = `${state.displayTZ}|${def.id}|${period}`;
+  if(!lunarRuleCache.has(key)) lunarRuleCache.set(key, compute());
+  return lunarRuleCache.get(key);
+}
 
-    if(startLocal.toMillis() >= rangeEndMsExclusive) continue;
-    if(endLocal.toMillis() <= rangeStartMs) continue;
+function lunarFullAfterHits(def, year){
+  if(year < (def.gregStartYear || 0) || !def.gyMonth || !def.gyDay) return [];
 
-    let dayCursor = startLocal.startOf('day');
-    const lastDay = endLocal.minus({milliseconds: 1}).startOf('day');
+  return cachedLunarHits(def, year, ()=>{
+    const from = DateTime.fromObject({year, month:def.gyMonth, day:def.gyDay}, {zone:'UTC'});
+    if(!from.isValid) return [];
 
-    while(dayCursor <= lastDay){
-      const dayISO = dayCursor.toISODate();
+    const nth = def.nth || 1;
+    const fromISO = from.toISODate();
+    const phase = lunarQuartersBetween('full', fromISO, isoPlusDays(fromISO, 30 * nth))[nth - 1];
+    return phase ? [lunarHit(phase)] : [];
+  });
+}
 
-      if(dayISO >= rangeStartISO && dayISO <= rangeEndISO){
-        const dayStart = dayCursor;
-        const dayEndExclusive = dayCursor.plus({days:1});
+function lunarNewInSuperMonthHits(def, seoYear){
+  if(seoYear < (def.syStartYear || 1) || !def.syMonth) return [];
+
+  return cachedLunarHits(def, seoYear, ()=>{
+    const r = getRangeForMonth(seoYear, def.syMonth);
+    if(!r) return [];
+
+    const hits = lunarQuartersBetween('new', r.start, r.end).map(phase => lunarHit(phase));
+    if(!def.nth) return hits;
+    return hits[def.nth - 1] ? [hits[def.nth - 1]] : [];
+  });
+}
+
+function lunarRuleHitOn(def, dateISO){
+  const t = def.anchorType;
+
+  if(t === 'LUNAR_QUARTER_OFFSET'){
+    if(!def.lunarQuarter || Number(dateISO.slice(0, 4)) < (def.gregStartYear || 0)) return null;
+    const off = def.offsetDays || 0;
+    const phase = lunarPhasesForDate(isoPlusDays(dateISO, -off)).find(e => e.phaseKey === def.lunarQuarter);
+    return phase ? lunarHit(phase, off) : null;
+  }
+
+  let hits = [];
+  if(t === 'LUNAR_FULL_AFTER'){
+    const year = Number(dateISO.slice(0, 4));
+    hits = [...lunarFullAfterHits(def, year - 1), ...lunarFullAfterHits(def, year)];
+  }
+  if(t === 'LUNAR_NEW_IN_SM'){
+    hits = lunarNewInSuperMonthHits(def, seoianYearForGregorian(dateISO));
+  }
+
+  return hits.find(h => h.dateISO === dateISO) || null;
+}
+
+// Copies of the matching defs, each carrying its instant as `lunar`.
+function lunarDefsForDate(dateISO){
+  const out = [];
+
+  for(const def of state.data.lunarDefs || []){
+    if(!enabledForCategory(def.category)) continue;
+    const hit = lunarRuleHitOn(def, dateISO);
+    if(hit) out.push({ ...def, lunar: hit });
+  }
+
+  return out;
+}
+
+function lunarHitLabel(hit){
+  const { phase, localDT, offsetDays } = hit;
+  const at = `${localDT.toFormat('HH:mm')} ${localDT.zoneName}`;
+  if(!offsetDays) return `${phase.marker} ${phase.phaseName} at ${at}`;
+
+  const days = Math.abs(offsetDays) === 1 ? 'day' : 'days';
+  const rel = offsetDays > 0 ? 'after' : 'before';
+  return `${at}: ${Math.abs(offsetDays)} ${days} ${rel} the ${phase.marker} ${phase.phaseName} of ${phase.localDT.toFormat('dd/LL/yyyy HH:mm')}`;
+}
+
+function lunarDefOccurrences(def, todayISO){
+  const t = def.anchorType;
+  let dates = [];
+
+  if(t === 'LUNAR_FULL_AFTER'){
+    const year = Number(todayISO.slice(0, 4));
+    for(let y = year - 1; y <= year + 1; y++){
+      dates.push(...lunarFullAfterHits(def, y).map(h => h.dateISO));
+    }
+  }
+
+  if(t === 'LUNAR_NEW_IN_SM'){
+    const sy = seoianYearForGregorian(todayISO);
+    for(let y = sy - 1; y <= sy + 1; y++){
+      dates.push(...lunarNewInSuperMonthHits(def, y).map(h => h.dateISO));
+    }
+  }
+
+  if(t === 'LUNAR_QUARTER_OFFSET' && def.lunarQuarter){
+    const off = def.offsetDays || 0;
+    dates = lunarQuartersBetween(def.lunarQuarter, isoPlusDays(todayISO, -off - 35), isoPlusDays(todayISO, -off + 35))
+      .map(phase => lunarHit(phase, off).dateISO);
+  }
+
+  return nearestOccurrences(dates, todayISO);
+}
+
+// End-exclusive day grouping.
+// Context rules:
+// - 'calendar' => SHORT one-offs only (and showOnCalendar)
+// - 'list'     => ALL one-offs (showOnCalendar)
+// - 'inspector'=> ALL one-offs (showInInspector)
+function groupOneOffsByDay(rangeStartISO, rangeEndISO, context='calendar'){
+  const out = new Map();
+  if(!state.data.oneOffDefs || !enabledForOneOff()) return out;
+
+  const rangeStart = DateTime.fromISO(rangeStartISO, {zone: state.displayTZ}).startOf('day');
+  const rangeEndExclusive = DateTime.fromISO(rangeEndISO, {zone: state.displayTZ}).plus({days:1}).startOf('day');
+
+  const rangeStartMs = rangeStart.toMillis();
+  const rangeEndMsExclusive = rangeEndExclusive.toMillis();
+
+  for(const def of state.data.oneOffDefs){
+    const allow = (context === 'inspector') ? def.showInInspector : def.showOnCalendar;
+    if(!allow) continue;
+
+    if(context === 'calendar' && isMultiDayOneOff(def)) continue;
+
+    const startLocal = DateTime.fromMillis(def.startUtcMs, {zone:'utc'}).setZone(state.displayTZ);
+    const endLocal = DateTime.fromMillis(def.endUtcMs, {zone:'utc'}).setZone(state.displayTZ);
+
+    if(startLocal.toMillis() >= rangeEndMsExclusive) continue;
+    if(endLocal.toMillis() <= rangeStartMs) continue;
+
+    let dayCursor = startLocal.startOf('day');
+    const lastDay = endLocal.minus({milliseconds: 1}).startOf('day');
+
+    while(dayCursor <= lastDay){
+      const dayISO = dayCursor.toISODate();
+
+      if(dayISO >= rangeStartISO && dayISO <= rangeEndISO){
+        const dayStart = dayCursor;
+        const dayEndExclusive = dayCursor.plus({days:1});
 
         if(startLocal < dayEndExclusive && endLocal > dayStart){
           if(!out.has(dayISO)) out.set(dayISO, []);
@@ -1652,7 +2874,7 @@ function collectAllDayEventOccurrencesForRange(rangeStartISO, rangeEndISO){
     const years = new Set([syStart, syEnd]);
 
     for(const y of years){
-      const arr = state.data.rangesBySeoYear.get(y) || [];
+      const arr = rangesForSeoianYear(y);
       for(const r of arr){
         if(r.end < rangeStartISO || r.start > rangeEndISO) continue;
         events.push({
@@ -1662,8 +2884,10 @@ function collectAllDayEventOccurrencesForRange(rangeStartISO, rangeEndISO){
           end: r.end,
           monthNo: r.monthNo,
           kind: 'supermonth',
+          seoianYear: r.seoianYear,
           rank: 0,
-          sequence: r.monthNo
+          sequence: r.monthNo,
+          notes: r.extendedName || ''
         });
       }
     }
@@ -1678,15 +2902,31 @@ function collectAllDayEventOccurrencesForRange(rangeStartISO, rangeEndISO){
     const seo = canonicalSeoianDate(dateISO);
 
     for(const def of syEventDefsForDate(dateISO)){
+      if(!def.showOnCalendar) continue;
+      // Rule defs can fire several times a Seoian year; fixed SY days once.
+      events.push({
+        id: SY_RULE_ANCHORS.includes(def.anchorType) ? `${def.id}_${dateISO}` : `${def.id}_${fmtSeoianYear(seo.year)}`,
+        label: def.title,
+        start: dateISO,
+        end: dateISO,
+        kind: isStandardCategory(def.category) ? 'standard' : isSpecialCategory(def.category) ? 'special' : 'other',
+        rank: def.rank ?? 9,
+        sequence: def.sequence ?? 9999,
+        notes: def.notes || ''
+      });
+    }
+
+    for(const def of lunarDefsForDate(dateISO)){
       if(!def.showOnCalendar) continue;
       events.push({
-        id: `${def.id}_${String(seo.year).padStart(4,'0')}`,
+        id: `${def.id}_${dateISO}`,
         label: def.title,
         start: dateISO,
         end: dateISO,
         kind: isStandardCategory(def.category) ? 'standard' : isSpecialCategory(def.category) ? 'special' : 'other',
         rank: def.rank ?? 9,
-        sequence: def.sequence ?? 9999
+        sequence: def.sequence ?? 9999,
+        notes: [lunarHitLabel(def.lunar), def.notes].filter(Boolean).join(' — ')
       });
     }
   }
@@ -1711,7 +2951,8 @@ function collectAllDayEventOccurrencesForRange(rangeStartISO, rangeEndISO){
         end: occ.endISO,
         kind: isStandardCategory(def.category) ? 'standard' : isSpecialCategory(def.category) ? 'special' : 'other',
         rank: def.rank ?? 9,
-        sequence: def.sequence ?? 9999
+        sequence: def.sequence ?? 9999,
+        notes: def.notes || ''
       });
     }
   }
@@ -1731,7 +2972,8 @@ function collectAllDayEventOccurrencesForRange(rangeStartISO, rangeEndISO){
         end: span.endISO,
         kind: 'oneoff',
         rank: def.rank ?? 3,
-        sequence: def.sequence ?? 9999
+        sequence: def.sequence ?? 9999,
+        notes: def.notes || ''
       });
     }
   }
@@ -1790,16 +3032,85 @@ function placeEventsInWeek(events, weekStartISO, weekEndISO, maxLanes){
   return { placed, hiddenByDay };
 }
 
+// ---------- Spotify player ----------
+// With "Play songs here" on, inspector tracks are Spotify embeds; tracks with
+// no parsable track ID stay links, and offline a placeholder stands in.
+const SPOTIFY_EMBED = {
+  base: 'https://open.spotify.com/embed/track/',
+  height: 80
+};
+
+function songLinkEl(song, label){
+  if(!song.url){
+    const s = document.createElement('div');
+    s.className = 'songlink';
+    s.textContent = label;
+    return s;
+  }
+
+  const a = document.createElement('a');
+  a.href = song.url;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer';
+  a.className = 'songlink';
+  a.textContent = label;
+  return a;
+}
+
+function songPlayerEl(song, label){
+  if(!el('toggleSpotifyEmbed').checked || !song.trackId) return songLinkEl(song, label);
+
+  if(navigator.onLine === false){
+    const box = document.createElement('div');
+    box.className = 'song-embed offline';
+    box.appendChild(songLinkEl(song, label));
+
+    const n = document.createElement('div');
+    n.className = 'note';
+    n.textContent = 'Offline: the player comes back with the connection.';
+    box.appendChild(n);
+    return box;
+  }
+
+  const frame = document.createElement('iframe');
+  frame.className = 'song-embed';
+  frame.src = `${SPOTIFY_EMBED.base}${song.trackId}`;
+  frame.height = String(SPOTIFY_EMBED.height);
+  frame.title = label;
+  frame.loading = 'lazy';
+  frame.allow = 'autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture';
+  return frame;
+}
+
+// Delegated so the toggle in the cloned mobile inspector works too.
+function bindSpotifyEmbed(){
+  document.addEventListener('change', (e)=>{
+    if(!e.target.matches('[data-spotify-embed]')) return;
+    el('toggleSpotifyEmbed').checked = e.target.checked;
+    savePreferences();
+    if(state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+  });
+
+  const refresh = ()=>{
+    if(el('toggleSpotifyEmbed').checked && state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+  };
+  window.addEventListener('online', refresh);
+  window.addEventListener('offline', refresh);
+}
+
 // ---------- Snapshot: Day Inspector ----------
 function snapshotDay(dateISO){
   const seo = canonicalSeoianDate(dateISO);
   const songSlots = seoianSongSlotsForDate(dateISO);
   const fridayFlower = fridayFlowerForDate(dateISO);
   const lunarPhases = lunarPhasesForDate(dateISO);
+  const skyEvents = skyEventsForDate(dateISO);
+  const zones = partnerZonesForDate(dateISO);
 
   const periods = state.filters.superMonths
-    ? activeSuperMonths(dateISO).sort((a,b)=>a.monthNo-b.monthNo).map(p=>p.monthName)
+    ? activeSuperMonths(dateISO).sort((a,b)=>a.monthNo-b.monthNo)
     : [];
+  const periodsNote = state.filters.superMonths ? superMonthsUnavailableNote(seo.year) : '';
 
   const dayDefs = recurringDayDefsForDate(dateISO, 'showInInspector');
 
@@ -1807,7 +3118,7 @@ function snapshotDay(dateISO){
     ? oneOffsForDate(dateISO, 'inspector')
     : [];
 
-  const silentSong = silentSoundForDate(dateISO);
+  const { song: silentSong, extras: setDayExtras } = silentSoundsForDate(dateISO);
   const overflowSongs = overflowSongsForDate(dateISO);
 
   state.snapshot = {
@@ -1817,30 +3128,56 @@ function snapshotDay(dateISO){
     dayDefs,
     oneOffs,
     silentSong,
+    setDayExtras,
     overflowSongs,
     fridayFlower,
     lunarPhases,
+    periodsNote,
+    skyEvents,
+    skyUnavailable: skyEventsUnavailable(dateISO),
     songSlots,
     periods,
-    facts: superDayFactsForDate(dateISO, state.tamaraTZ, state.martinTZ),
-    tzAtSnapshot: { tamaraTZ: state.tamaraTZ, martinTZ: state.martinTZ }
+    facts: superDayFactsForDate(dateISO, zones.tamaraTZ, zones.martinTZ),
+    tzAtSnapshot: zones
   };
 
   state.highlightDateISO = dateISO;
   render();
 }
 
+// Where each partner was on the snapshot date; (itinerary) marks zones taken
+// from AFdS_TZ_Itinerary.csv rather than the clock selections.
+function snapshotZonesLabel(z){
+  const one = (name, zone, stop)=> `${name}: ${zone}${stop ? ' (itinerary)' : ''}`;
+  return `${one('Tamara', z.tamaraTZ, z.tamara)} / ${one('Martin', z.martinTZ, z.martin)}`;
+}
+
+function renderClockItinerary(snap){
+  const row = el('sdInspected');
+  if(!row) return;
+
+  const z = snap?.tzAtSnapshot;
+  row.hidden = !(z && (z.tamara || z.martin));
+  if(row.hidden) return;
+
+  el('sdInspectedDate').textContent = `${snap.gregorianLabel}:`;
+  el('sdInspectedZones').textContent = `${zoneShortName(z.tamaraTZ)} / ${zoneShortName(z.martinTZ)}`;
+  el('sdInspectedZones').title = snapshotZonesLabel(z);
+}
+
 function renderInspector(){
   const snap = state.snapshot;
   const showG = el('toggleGregorian').checked;
 
   el('inspectorGregorian').hidden = !showG;
+  renderClockItinerary(snap);
 
   if(!snap){
     el('inspectorSeoian').textContent = '—';
     el('inspectorGregorian').textContent = '—';
     el('inspectorPeriods').innerHTML = '<div class="muted">Hover/tap a day.</div>';
     el('inspectorFacts').innerHTML = '<div class="muted">Hover/tap a day.</div>';
+    renderInspectorNotes(null);
     return;
   }
 
@@ -1857,14 +3194,30 @@ function renderInspector(){
 
   if(snap.periods && snap.periods.length){
     any = true;
-    for(const item of snap.periods){
+    for(const r of snap.periods){
       const div = document.createElement('div');
-      div.className = 'pill';
-      div.textContent = item;
+      div.className = 'pill supermonth-pill';
+      div.textContent = r.monthName;
+      div.title = 'SuperMonth details';
+      div.dataset.superMonth = `${r.seoianYear}|${r.monthNo}`;
       p.appendChild(div);
     }
   }
 
+  if(snap.periodsNote){
+    any = true;
+
+    const div = document.createElement('div');
+    div.className = 'eventitem';
+
+    const n = document.createElement('div');
+    n.className = 'note';
+    n.textContent = snap.periodsNote;
+    div.appendChild(n);
+
+    p.appendChild(div);
+  }
+
   if(dayDefs.length){
     any = true;
     for(const d of dayDefs){
@@ -1906,6 +3259,23 @@ function renderInspector(){
       o.textContent = `Origin: ${originDT.toFormat('dd/LL/yyyy HH:mm')} ${originTZ}`;
       div.appendChild(o);
 
+      const check = miavigCheckNote(ev);
+      if(check){
+        const c = document.createElement('div');
+        c.className = 'note';
+        c.textContent = check;
+        div.appendChild(c);
+      }
+
+      if(ev.source === 'ics' || ev.source === 'planner'){
+        const src = document.createElement('div');
+        src.className = 'note';
+        src.textContent = ev.source === 'ics'
+          ? 'Imported from .ics (this browser only)'
+          : 'Planned in this browser';
+        div.appendChild(src);
+      }
+
       if(ev.notes){
         const n = document.createElement('div');
         n.className = 'note';
@@ -1940,48 +3310,87 @@ function renderInspector(){
     }
   }
 
-  if(snap.silentSong){
+  if(snap.skyEvents && snap.skyEvents.length){
     any = true;
 
-    const div = document.createElement('div');
-    div.className = 'eventitem songofday';
+    for(const event of snap.skyEvents){
+      const div = document.createElement('div');
+      div.className = 'eventitem skyevent';
 
-    const t = document.createElement('div');
-    t.className = 'title';
-    t.textContent = snap.songSlots?.primary?.seoianLabel
-      ? `Silent Sounds: ${snap.songSlots.primary.seoianLabel}`
-      : 'Silent Sounds (Song of the Day)';
-    div.appendChild(t);
+      const t = document.createElement('div');
+      t.className = 'title';
+      t.textContent = `${event.marker} ${event.name}`;
+      div.appendChild(t);
 
-    const label = snap.silentSong.artists
-      ? `${snap.silentSong.title} — ${snap.silentSong.artists}`
-      : snap.silentSong.title;
-
-    if(snap.silentSong.url){
-      const a = document.createElement('a');
-      a.href = snap.silentSong.url;
-      a.target = '_blank';
-      a.rel = 'noopener noreferrer';
-      a.className = 'songlink';
-      a.textContent = label;
-      div.appendChild(a);
-    }else{
-      const s = document.createElement('div');
-      s.className = 'songlink';
-      s.textContent = label;
-      div.appendChild(s);
-    }
+      const detail = skyEventDetail(event);
+      const lines = [`Occurs at ${event.localTime} ${event.zone}${detail ? ` • ${detail}` : ''}`];
 
-    if(snap.silentSong.note){
-      const n = document.createElement('div');
-      n.className = 'note';
-      n.textContent = snap.silentSong.note;
-      div.appendChild(n);
+      if(event.type === 'lunarEclipse' || event.type === 'solarEclipse'){
+        const z = snap.tzAtSnapshot;
+        lines.push(localEclipseLine(event, 'Tamara', z.tamaraTZ));
+        lines.push(localEclipseLine(event, 'Martin', z.martinTZ));
+      }
+
+      for(const line of lines){
+        const n = document.createElement('div');
+        n.className = 'note';
+        n.textContent = line;
+        div.appendChild(n);
+      }
+
+      p.appendChild(div);
     }
+  }
+
+  if(snap.skyUnavailable){
+    any = true;
+
+    const div = document.createElement('div');
+    div.className = 'eventitem skyevent';
+
+    const n = document.createElement('div');
+    n.className = 'note';
+    n.textContent = `⚠ Sky events unavailable for ${snap.dateISO.slice(0, 4)}`;
+    div.appendChild(n);
 
     p.appendChild(div);
   }
 
+  if(snap.silentSong){
+    any = true;
+
+    const seoianLabel = snap.silentSong.seoianLabel || snap.songSlots?.primary?.seoianLabel;
+    const songs = [
+      [snap.silentSong, seoianLabel ? `Silent Sounds: ${seoianLabel}` : 'Silent Sounds (Song of the Day)'],
+      ...(snap.setDayExtras || []).map(song => [song, `Set Day Song: ${song.seoianLabel}`])
+    ];
+
+    for(const [song, title] of songs){
+      const div = document.createElement('div');
+      div.className = 'eventitem songofday';
+
+      const t = document.createElement('div');
+      t.className = 'title';
+      t.textContent = title;
+      div.appendChild(t);
+
+      const label = song.artists
+        ? `${song.title} — ${song.artists}`
+        : song.title;
+
+      div.appendChild(songPlayerEl(song, label));
+
+      if(song.note){
+        const n = document.createElement('div');
+        n.className = 'note';
+        n.textContent = song.note;
+        div.appendChild(n);
+      }
+
+      p.appendChild(div);
+    }
+  }
+
   if(snap.overflowSongs && snap.overflowSongs.length){
     any = true;
 
@@ -2000,20 +3409,7 @@ function renderInspector(){
         ? `${song.title} — ${song.artists}`
         : song.title;
 
-      if(song.url){
-        const a = document.createElement('a');
-        a.href = song.url;
-        a.target = '_blank';
-        a.rel = 'noopener noreferrer';
-        a.className = 'songlink';
-        a.textContent = label;
-        div.appendChild(a);
-      }else{
-        const s = document.createElement('div');
-        s.className = 'songlink';
-        s.textContent = label;
-        div.appendChild(s);
-      }
+      div.appendChild(songPlayerEl(song, label));
 
       if(song.note){
         const n = document.createElement('div');
@@ -2096,7 +3492,7 @@ function renderInspector(){
     ['Start', snap.facts.start],
     ['End', snap.facts.end],
     ['Length', snap.facts.length],
-    ['Snapshot TZs', `${snap.tzAtSnapshot.tamaraTZ} / ${snap.tzAtSnapshot.martinTZ}`]
+    ['Snapshot TZs', snapshotZonesLabel(snap.tzAtSnapshot)]
   ];
 
   for(const [k,v] of rows){
@@ -2113,6 +3509,8 @@ function renderInspector(){
     r.appendChild(b);
     f.appendChild(r);
   }
+
+  renderInspectorNotes(snap);
 }
 
 function renderMobileSheetMirrors(){
@@ -2150,6 +3548,7 @@ function recurringDayDefsForDate(dateISO, visibilityField='showOnCalendar'){
   const defs = [
     ...syEventDefsForDate(dateISO),
     ...gregorianDefsForDate(dateISO),
+    ...lunarDefsForDate(dateISO),
   ].filter(d => {
     if(!d) return false;
     if(visibilityField === 'showInInspector') return !!d.showInInspector;
@@ -2203,6 +3602,7 @@ function isTMTime(def){
 }
 
 function inspectorNoteForDayDef(def, dateISO){
+  if(def.lunar) return [lunarHitLabel(def.lunar), def.notes].filter(Boolean).join(' — ');
   if(!isTMTime(def)) return def.notes || '';
 
   const occ = activeGregorianOccurrenceForDate(def, dateISO);
@@ -2308,70 +3708,870 @@ window.addEventListener('click', (e)=>{
   }
 });
 
-// ---------- Clocks ----------
-function makeClockSVG(kind='normal'){
-  const ns = 'http://www.w3.org/2000/svg';
-  const svg = document.createElementNS(ns,'svg');
-  svg.setAttribute('viewBox','0 0 200 200');
-  svg.setAttribute('width','92%');
-  svg.setAttribute('height','92%');
+// ---------- SuperMonth detail ----------
+// Opened from the calendar title or a SuperMonth pill in the Day Inspector.
+const SM_DETAIL = {
+  yearsAround: 6    // start-date map: this many Seoian years either side
+};
 
-  const face = document.createElementNS(ns,'circle');
-  face.setAttribute('cx','100');
-  face.setAttribute('cy','100');
-  face.setAttribute('r','92');
-  face.setAttribute('fill','#fff');
-  face.setAttribute('stroke','#e6e7ea');
-  face.setAttribute('stroke-width','2');
-  svg.appendChild(face);
 
-  for(let i=0;i<60;i++){
-    const tick = document.createElementNS(ns,'line');
-    const a = (Math.PI * 2 * i) / 60;
-    const r1 = (i % 5 === 0) ? 78 : 84;
-    const r2 = 90;
-    const x1 = 100 + Math.sin(a) * r1;
-    const y1 = 100 - Math.cos(a) * r1;
-    const x2 = 100 + Math.sin(a) * r2;
-    const y2 = 100 - Math.cos(a) * r2;
-    tick.setAttribute('x1', x1);
-    tick.setAttribute('y1', y1);
-    tick.setAttribute('x2', x2);
-    tick.setAttribute('y2', y2);
-    tick.setAttribute('stroke', (i % 5 === 0) ? '#cfd3da' : '#e6e7ea');
-    tick.setAttribute('stroke-width', (i % 5 === 0) ? 2 : 1);
-    svg.appendChild(tick);
+function superMonthNeighbours(range){
+  const out = [];
+  for(let y = range.seoianYear - 1; y <= range.seoianYear + 1; y++){
+    for(const r of rangesForSeoianYear(y)){
+      if(r === range || r.end < range.start || r.start > range.end) continue;
+      const start = r.start > range.start ? r.start : range.start;
+      const end = r.end < range.end ? r.end : range.end;
+      out.push({ range: r, start, end });
+    }
   }
+  return out.sort((a,b)=> a.start.localeCompare(b.start));
+}
 
-  function addText(id, txt, x, y){
-    const t = document.createElementNS(ns,'text');
-    t.setAttribute('x', x);
-    t.setAttribute('y', y);
-    t.setAttribute('text-anchor','middle');
-    t.setAttribute('dominant-baseline','middle');
-    t.setAttribute('font-family','ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, Liberation Mono, Courier New, monospace');
-    t.setAttribute('font-size','14');
-    t.setAttribute('fill','#5c6470');
-    t.id = id;
-    t.textContent = txt;
-    svg.appendChild(t);
+// The end is the First Quarter in the next SuperMonth's tzKey zone; engine
+// ranges carry that zone, fallback ranges only its wall time.
+function superMonthFirstQuarter(range){
+  if(!range.firstQuarter) return null;
+
+  const next = range.monthNo === 13 ? superMonthConfig(1) : superMonthConfig(range.monthNo + 1);
+  const zone = range.firstQuarterTZ || zoneForTzKey(next?.tzKey);
+  const utcMs = range.firstQuarterUtcMs ?? zonedWallTimeToUtcMs(range.firstQuarter, zone);
+  return { wall: range.firstQuarter, zone, utcMs };
+}
+
+function superMonthAnchorLabel(cfg){
+  const date = DateTime.utc(2000, Number(cfg.anchorMonth), Number(cfg.anchorDay)).toFormat('d LLLL');
+  const yearAdd = Number(cfg.anchorYearAdd) || 0;
+  const start = yearAdd ? `${date} (Gregorian year +${yearAdd})` : date;
+  return `Starts ${start}; ends on the first First Quarter on or after the next SuperMonth's start`;
+}
+
+function superMonthItems(range){
+  const items = [];
+
+  for(let i=0;i<daysInclusive(range.start, range.end);i++){
+    const dateISO = isoPlusDays(range.start, i);
+    for(const def of recurringDayDefsForDate(dateISO, 'showOnCalendar')){
+      if(isSpecialCategory(def.category)) items.push({ dateISO, day: i + 1, label: def.title, kind: 'special' });
+    }
   }
 
-  if(kind === 'normal'){
-    addText('n12','12',100,34);
-    addText('n3','3',166,102);
-    addText('n6','6',100,170);
-    addText('n9','9',34,102);
-  }else if(kind === 'superday'){
-    addText('n12','0',100,34);
-    addText('n3','',166,102);
-    addText('n6','',100,170);
-    addText('n9','',34,102);
+  const seen = new Set();
+  for(const [dateISO, evs] of [...groupOneOffsByDay(range.start, range.end, 'list')].sort((a,b)=> a[0].localeCompare(b[0]))){
+    for(const ev of evs){
+      if(seen.has(ev.id)) continue;
+      seen.add(ev.id);
+      const label = isMultiDayOneOff(ev) ? ev.title : `${fmtTimeHHMM(ev.startLocal)} ${ev.title}`;
+      items.push({ dateISO, day: daysInclusive(range.start, dateISO), label, kind: 'oneoff' });
+    }
   }
 
-  const hour = document.createElementNS(ns,'line');
-  hour.setAttribute('x1','100');
-  hour.setAttribute('y1','100');
+  return items.sort((a,b)=> a.dateISO.localeCompare(b.dateISO) || a.kind.localeCompare(b.kind));
+}
+
+function smDetailRow(k, v){
+  const r = document.createElement('div');
+  r.className = 'factrow';
+
+  const a = document.createElement('span');
+  a.textContent = k;
+  r.appendChild(a);
+
+  const b = document.createElement('span');
+  b.textContent = v;
+  r.appendChild(b);
+
+  return r;
+}
+
+function smDetailSection(title){
+  const section = document.createElement('div');
+  section.className = 'section';
+
+  const t = document.createElement('div');
+  t.className = 'section-title';
+  t.textContent = title;
+  section.appendChild(t);
+
+  return section;
+}
+
+function renderSuperMonthDetail(range){
+  const cfg = superMonthConfig(range.monthNo) || {};
+  const body = el('smDetailBody');
+  body.innerHTML = '';
+
+  el('smDetailTitle').textContent = `${range.monthName}, ${fmtSeoianYear(range.seoianYear)}`;
+
+  const about = smDetailSection(cfg.extendedName || range.extendedName || `SuperMonth ${range.monthNo}`);
+  if(cfg.latin) about.appendChild(smDetailRow('Latin', cfg.latin));
+  if(cfg.french) about.appendChild(smDetailRow('French', cfg.french));
+  if(cfg.gaelicPronunciation) about.appendChild(smDetailRow('Say it', cfg.gaelicPronunciation));
+  if(cfg.location) about.appendChild(smDetailRow('Location', cfg.location));
+  about.appendChild(smDetailRow('Rule', superMonthAnchorLabel(cfg)));
+  about.appendChild(smDetailRow('tzKey', `${cfg.tzKey || range.tzKey} (${zoneForTzKey(cfg.tzKey || range.tzKey)})`));
+  about.appendChild(smDetailRow('Dates from', state.data.rangesSource === 'fallback'
+    ? 'supermonths_ranges_fallback.json (the engine could not start)'
+    : 'SuperMonth engine'));
+  body.appendChild(about);
+
+  const year = smDetailSection(`Seoian Year ${fmtSeoianYear(range.seoianYear)}`);
+  year.appendChild(smDetailRow('Start', fmtGreg(range.start)));
+  year.appendChild(smDetailRow('End', `${fmtGreg(range.end)} • ${daysInclusive(range.start, range.end)} days`));
+
+  const fq = superMonthFirstQuarter(range);
+  if(fq){
+    const local = Number.isFinite(fq.utcMs) && fq.zone !== state.displayTZ
+      ? ` • ${DateTime.fromMillis(fq.utcMs, {zone: state.displayTZ}).toFormat('dd/LL/yyyy HH:mm')} ${state.displayTZ}`
+      : '';
+    year.appendChild(smDetailRow('First Quarter', `${fmtGreg(fq.wall.slice(0, 10))} ${fq.wall.slice(11, 16)} ${fq.zone}${local}`));
+  }
+
+  const neighbours = superMonthNeighbours(range);
+  if(!neighbours.length) year.appendChild(smDetailRow('Overlap', 'None'));
+  for(const n of neighbours){
+    year.appendChild(smDetailRow(`Overlaps ${n.range.monthName}`, `${fmtGreg(n.start)} – ${fmtGreg(n.end)} • ${daysInclusive(n.start, n.end)} days`));
+  }
+  body.appendChild(year);
+
+  const items = superMonthItems(range);
+  const inside = smDetailSection(`Special Days and one-offs (${items.length})`);
+  if(!items.length){
+    const empty = document.createElement('div');
+    empty.className = 'muted small';
+    empty.textContent = 'None with the current filters.';
+    inside.appendChild(empty);
+  }
+  for(const it of items){
+    const row = document.createElement('div');
+    row.className = `pop-item smd-item smd-${it.kind}`;
+    row.dataset.smdDate = it.dateISO;
+    row.textContent = `${pad2(it.day)} • ${fmtGreg(it.dateISO)} — ${it.label}`;
+    inside.appendChild(row);
+  }
+  body.appendChild(inside);
+
+  const around = [];
+  for(let y = range.seoianYear - SM_DETAIL.yearsAround; y <= range.seoianYear + SM_DETAIL.yearsAround; y++){
+    const r = getRangeForMonth(y, range.monthNo);
+    if(r) around.push(r);
+  }
+  const longest = Math.max(...around.map(r => daysInclusive(r.start, r.end)));
+
+  const map = smDetailSection('Start dates by Seoian year');
+  const grid = document.createElement('div');
+  grid.className = 'smd-years';
+  for(const r of around){
+    const days = daysInclusive(r.start, r.end);
+    const cell = document.createElement('button');
+    cell.type = 'button';
+    cell.className = 'smd-year';
+    if(r.seoianYear === range.seoianYear) cell.classList.add('current');
+    if(r.end < DateTime.now().setZone(state.displayTZ).toISODate()) cell.classList.add('past');
+    cell.dataset.smdDate = r.start;
+    cell.title = `${fmtGreg(r.start)} – ${fmtGreg(r.end)} • ${days} days`;
+
+    const y = document.createElement('span');
+    y.className = 'smd-year-no';
+    y.textContent = fmtSeoianYear(r.seoianYear);
+    cell.appendChild(y);
+
+    const d = document.createElement('span');
+    d.textContent = fmtGreg(r.start);
+    cell.appendChild(d);
+
+    const bar = document.createElement('span');
+    bar.className = 'smd-bar';
+    bar.style.width = `${Math.round(days / longest * 100)}%`;
+    cell.appendChild(bar);
+
+    grid.appendChild(cell);
+  }
+  map.appendChild(grid);
+
+  const hint = document.createElement('div');
+  hint.className = 'muted small';
+  hint.textContent = 'Bars show each year\'s length; click a year or an item to go there.';
+  map.appendChild(hint);
+  body.appendChild(map);
+}
+
+function openSuperMonthDetail(seoYear, monthNo){
+  const range = getRangeForMonth(seoYear, monthNo);
+  if(!range) return;
+
+  renderSuperMonthDetail(range);
+  el('smDetail').hidden = false;
+}
+
+function closeSuperMonthDetail(){
+  el('smDetail').hidden = true;
+}
+
+function openSuperMonthDetailForFocus(){
+  const seo = canonicalSeoianDate(state.focusDateISO);
+  if(seo.canonical) openSuperMonthDetail(seo.year, seo.canonical.monthNo);
+}
+
+// Delegated so pills in the cloned mobile inspector open it too.
+function bindSuperMonthDetail(){
+  el('calTitle').addEventListener('click', openSuperMonthDetailForFocus);
+  el('calTitle').addEventListener('keydown', (e)=>{
+    if(e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    openSuperMonthDetailForFocus();
+  });
+
+  el('smDetailClose').addEventListener('click', closeSuperMonthDetail);
+
+  document.addEventListener('click', (e)=>{
+    const pill = e.target.closest('[data-super-month]');
+    if(pill){
+      const [y, m] = pill.dataset.superMonth.split('|').map(Number);
+      openSuperMonthDetail(y, m);
+      return;
+    }
+
+    const pop = el('smDetail');
+    if(pop.hidden) return;
+
+    const go = e.target.closest('[data-smd-date]');
+    if(go){
+      closeSuperMonthDetail();
+      jumpToDate(go.dataset.smdDate);
+      return;
+    }
+
+    if(!pop.contains(e.target) && e.target !== el('calTitle')) closeSuperMonthDetail();
+  });
+
+  document.addEventListener('keydown', (e)=>{
+    if(e.key === 'Escape' && !el('smDetail').hidden) closeSuperMonthDetail();
+  });
+}
+
+// ---------- Day notes ----------
+// Personal notes added from the Day Inspector, stored in this browser. A note is
+// keyed by Gregorian date, or by Seoian day/month so it recurs every Seoian year
+// (on each SuperMonth day a date falls on, as SY Special Days do).
+const NOTES_KEY = 'afds.notes.v1';
+const NOTES_EXPORT_VERSION = 'afds-notes-v1';
+
+let notesCache = null;
+
+function isValidNote(n){
+  if(!n || typeof n.id !== 'string' || typeof n.text !== 'string' || !n.text.trim()) return false;
+  if(n.kind === 'date') return isValidDateParam(n.date);
+  if(n.kind === 'seoian') return Number.isInteger(n.syMonth) && n.syMonth >= 1 && n.syMonth <= 13 && Number.isInteger(n.syDay) && n.syDay >= 1;
+  return false;
+}
+
+function loadNotes(){
+  if(!notesCache){
+    const arr = loadStored(NOTES_KEY, []);
+    notesCache = Array.isArray(arr) ? arr.filter(isValidNote) : [];
+  }
+  return notesCache;
+}
+
+function saveNotes(notes){
+  notesCache = null;
+  return saveStored(NOTES_KEY, notes);
+}
+
+function notesForDate(dateISO){
+  const notes = loadNotes();
+  if(!notes.length) return [];
+
+  const pairs = activeSeoianMonthDayPairs(dateISO);
+  return notes.filter(n => n.kind === 'date'
+    ? n.date === dateISO
+    : pairs.some(p => p.monthNo === n.syMonth && p.day === n.syDay));
+}
+
+function noteScopeLabel(n){
+  return n.kind === 'date'
+    ? fmtGreg(n.date)
+    : `Every Seoian year on ${pad2(n.syDay)}/${pad2(n.syMonth)}`;
+}
+
+function noteMarker(dateISO){
+  const notes = notesForDate(dateISO);
+  if(!notes.length) return null;
+
+  const m = document.createElement('span');
+  m.className = 'note-marker';
+  m.textContent = '✎';
+  m.title = notes.map(n => n.text).join('\n');
+  m.setAttribute('aria-label', `${notes.length} note(s)`);
+  return m;
+}
+
+function addNote(dateISO, scope, text){
+  const body = String(text || '').trim();
+  if(!body) return false;
+
+  const note = { id: `N_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, kind: 'date', date: dateISO, text: body, updated: new Date().toISOString() };
+
+  if(scope === 'seoian'){
+    const seo = canonicalSeoianDate(dateISO);
+    if(!seo.canonical) return false;
+    note.kind = 'seoian';
+    note.date = null;
+    note.syMonth = seo.monthNo;
+    note.syDay = seo.day;
+  }
+
+  return saveNotes([...loadNotes(), note]);
+}
+
+function deleteNote(id){
+  saveNotes(loadNotes().filter(n => n.id !== id));
+}
+
+function renderInspectorNotes(snap){
+  const host = el('inspectorNotes');
+  if(!host) return;
+  host.innerHTML = '';
+
+  const scope = el('noteScope');
+  const seo = snap ? canonicalSeoianDate(snap.dateISO) : null;
+  scope.options[1].disabled = !seo?.canonical;
+  scope.options[1].textContent = seo?.canonical
+    ? `Every Seoian year (${pad2(seo.day)}/${pad2(seo.monthNo)})`
+    : 'Every Seoian year';
+  if(scope.options[1].disabled) scope.value = 'date';
+
+  if(!snap){
+    host.innerHTML = '<div class="muted">Hover/tap a day.</div>';
+    return;
+  }
+
+  const notes = notesForDate(snap.dateISO);
+  if(!notes.length){
+    host.innerHTML = '<div class="muted">(no notes)</div>';
+    return;
+  }
+
+  for(const n of notes){
+    const div = document.createElement('div');
+    div.className = 'eventitem day-note';
+
+    const t = document.createElement('div');
+    t.className = 'title';
+    t.textContent = n.text;
+    div.appendChild(t);
+
+    const s = document.createElement('div');
+    s.className = 'note';
+    s.textContent = noteScopeLabel(n);
+    div.appendChild(s);
+
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'note-delete';
+    del.dataset.noteDelete = n.id;
+    del.textContent = '✕';
+    del.title = 'Delete note';
+    div.appendChild(del);
+
+    host.appendChild(div);
+  }
+}
+
+function exportNotes(){
+  const payload = {
+    version: NOTES_EXPORT_VERSION,
+    exported_utc: new Date().toISOString(),
+    notes: loadNotes()
+  };
+  downloadTextFile(`AFdS_Notes_${DateTime.now().toFormat('yyyy-LL-dd')}.json`, JSON.stringify(payload, null, 2), 'application/json');
+}
+
+// Merges by id: new notes are added, and a note with a newer `updated` replaces ours.
+function importNotesText(text){
+  let raw;
+  try{
+    raw = JSON.parse(text);
+  }catch(e){
+    return { error: 'not a JSON file' };
+  }
+
+  const incoming = Array.isArray(raw) ? raw : raw?.notes;
+  if(!Array.isArray(incoming)) return { error: 'no notes in this file' };
+
+  const byId = new Map(loadNotes().map(n => [n.id, n]));
+  const report = { added: 0, updated: 0, skipped: 0 };
+
+  for(const n of incoming){
+    if(!isValidNote(n)){ report.skipped++; continue; }
+
+    const mine = byId.get(n.id);
+    if(!mine){
+      report.added++;
+    }else if(String(n.updated || '') > String(mine.updated || '')){
+      report.updated++;
+    }else{
+      continue;
+    }
+    byId.set(n.id, n);
+  }
+
+  if(report.added || report.updated) saveNotes([...byId.values()]);
+  return report;
+}
+
+async function importNotesFile(file){
+  if(!file) return;
+
+  const r = importNotesText(await file.text());
+  el('notesStatus').textContent = r.error
+    ? `Import failed: ${r.error}.`
+    : `${r.added} added, ${r.updated} updated${r.skipped ? `, ${r.skipped} invalid skipped` : ''}.`;
+
+  if(state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+  else render();
+}
+
+// Delegated so the cloned inspector in the mobile sheet works too.
+function bindNotes(){
+  document.addEventListener('click', (e)=>{
+    const add = e.target.closest('[data-note-add]');
+    if(add){
+      const box = add.closest('.notes');
+      const text = box.querySelector('textarea');
+      const dateISO = state.snapshot?.dateISO;
+      if(!dateISO || !addNote(dateISO, box.querySelector('select').value, text.value)) return;
+
+      text.value = '';
+      el('noteText').value = '';
+      snapshotDay(dateISO);
+      return;
+    }
+
+    const del = e.target.closest('[data-note-delete]');
+    if(del){
+      deleteNote(del.dataset.noteDelete);
+      if(state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+      return;
+    }
+
+    if(e.target.closest('[data-notes-export]')) exportNotes();
+    if(e.target.closest('[data-notes-import]')) el('notesImportFile').click();
+  });
+
+  el('notesImportFile').addEventListener('change', async (e)=>{
+    await importNotesFile(e.target.files[0]);
+    e.target.value = '';
+  });
+}
+
+// ---------- Search ----------
+// Titles and notes of day defs, one-offs and songs. Built on first use and
+// dropped whenever the one-off list changes (see refreshOneOffDefs).
+const SEARCH = {
+  minChars: 2,
+  maxResults: 40,
+  songCycles: 4,        // Silent Sounds rotation cycles searched each way
+  debounceMs: 150,
+};
+
+let searchIndex = null;
+
+function searchText(...parts){
+  return parts.filter(Boolean).join(' ').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function isoPlusDays(dateISO, days){
+  const [y, m, d] = dateISO.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function nearestOccurrences(datesISO, todayISO){
+  let prev = null;
+  let next = null;
+
+  for(const iso of datesISO){
+    if(!iso) continue;
+    if(iso >= todayISO){
+      if(!next || iso < next) next = iso;
+    }else if(!prev || iso > prev){
+      prev = iso;
+    }
+  }
+
+  return { prev, next };
+}
+
+function syDefOccurrences(def, todayISO){
+  const sy = seoianYearForGregorian(todayISO);
+  const dates = [];
+
+  // A day number past the end of a short SuperMonth has no date that year.
+  for(let y = sy - 2; y <= sy + 2; y++){
+    if(y < (def.syStartYear || 1)) continue;
+    dates.push(gregorianFromSeoian(def.syDay, def.syMonth, y));
+  }
+
+  return nearestOccurrences(dates, todayISO);
+}
+
+// Walks the SuperMonths of the Seoian years around today.
+function syRuleDefOccurrences(def, todayISO){
+  const sy = seoianYearForGregorian(todayISO);
+  const dates = [];
+
+  for(let y = sy - 1; y <= sy + 1; y++){
+    if(y < (def.syStartYear || 1)) continue;
+
+    for(const r of rangesForSeoianYear(y)){
+      if(def.syMonth && def.syMonth !== r.monthNo) continue;
+
+      const pair = { monthNo: r.monthNo, day: 1, start: r.start, end: r.end };
+      for(let iso = r.start; iso <= r.end; iso = isoPlusDays(iso, 1), pair.day++){
+        if(seoianRuleMatches(def, iso, pair)) dates.push(iso);
+      }
+    }
+  }
+
+  return nearestOccurrences(dates, todayISO);
+}
+
+function gyDefOccurrences(def, todayISO){
+  const year = Number(todayISO.slice(0, 4));
+  const dates = [];
+  for(let y = year - 1; y <= year + 1; y++){
+    dates.push(occurrenceRangeForGregorianRule(def, y)?.startISO);
+  }
+  return nearestOccurrences(dates, todayISO);
+}
+
+function dayDefOccurrences(def, todayISO){
+  if(def.anchorType === 'SY') return syDefOccurrences(def, todayISO);
+  if(SY_RULE_ANCHORS.includes(def.anchorType)) return syRuleDefOccurrences(def, todayISO);
+  if(LUNAR_ANCHORS.includes(def.anchorType)) return lunarDefOccurrences(def, todayISO);
+  return gyDefOccurrences(def, todayISO);
+}
+
+// Where the rotation deals the track, from its place in each cycle.
+function silentSongOccurrences(song, todayISO){
+  return rotationPlaysAround(song, todayISO, SEARCH.songCycles);
+}
+
+// Same deal as overflowSongsForDate(), for every slot of the given Seoian years.
+function overflowDatesByUrl(seoYears){
+  const out = new Map();
+  if(!(state.data.overflowSounds || []).length) return out;
+
+  for(const sy of seoYears){
+    overflowSlotsForYear(sy).forEach((slot, i)=>{
+      const url = overflowSongForSlot(sy, i).url;
+      if(!out.has(url)) out.set(url, []);
+      out.get(url).push(slot.dateISO);
+    });
+  }
+
+  return out;
+}
+
+// Dates around todayISO a Set Day Song entry plays on (a range: its first days).
+function setDaySongDates(entry, key, todayISO){
+  if(entry.source === 'exact-date') return [key];
+
+  if(entry.source === 'seoian-recurring'){
+    const [day, monthNo] = key.split('/').map(Number);
+    const sy = seoianYearForGregorian(todayISO);
+    return [sy - 1, sy, sy + 1].map(y => {
+      const r = getRangeForMonth(y, monthNo);
+      return (r && day <= daysInclusive(r.start, r.end)) ? isoPlusDays(r.start, day - 1) : null;
+    }).filter(Boolean);
+  }
+
+  const year = Number(todayISO.slice(0, 4));
+  const years = [year - 1, year, year + 1];
+
+  if(entry.source === 'range'){
+    const range = entry.range;
+    if(range.kind === 'dates') return [range.from];
+    if(range.kind === 'day'){
+      const def = gregorianDayDef(range.dayId);
+      return def ? years.map(y => occurrenceRangeForGregorianRule(def, y)?.startISO).filter(Boolean) : [];
+    }
+    return years.map(y => `${String(y).padStart(4, '0')}-${range.from}`);
+  }
+
+  return years.map(y => `${String(y).padStart(4, '0')}-${key}`);
+}
+
+function buildSearchIndex(){
+  const out = [];
+
+  const dayDefs = [
+    ...Array.from(state.data.syByKey?.values() || []).flat(),
+    ...(state.data.syRuleDefs || []),
+    ...(state.data.gyDefs || []),
+    ...(state.data.lunarDefs || []),
+  ];
+  const seenDefs = new Set();
+
+  for(const def of dayDefs){
+    if(seenDefs.has(def.id)) continue;
+    seenDefs.add(def.id);
+
+    out.push({
+      kind: 'day',
+      kindLabel: def.category || (isSeoianAnchor(def.anchorType) ? 'Special' : 'Standard'),
+      title: def.title,
+      sub: def.notes,
+      haystack: searchText(def.title, def.notes, def.category),
+      occurrences: (todayISO)=> dayDefOccurrences(def, todayISO),
+    });
+  }
+
+  for(const def of state.data.oneOffDefs || []){
+    out.push({
+      kind: 'oneoff',
+      kindLabel: 'One-Off',
+      title: def.title,
+      sub: def.notes,
+      haystack: searchText(def.title, def.notes, def.category),
+      occurrences: (todayISO)=> nearestOccurrences([oneOffSpanISO(def).startISO], todayISO),
+    });
+  }
+
+  for(const song of state.data.silentSounds || []){
+    out.push({
+      kind: 'song',
+      kindLabel: 'Silent Sounds',
+      title: song.title,
+      sub: song.artists,
+      haystack: searchText(song.title, song.artists),
+      occurrences: (todayISO)=> silentSongOccurrences(song, todayISO),
+    });
+  }
+
+  let overflowDates = null;
+  for(const song of state.data.overflowSounds || []){
+    out.push({
+      kind: 'song',
+      kindLabel: 'Overflow',
+      title: song.title,
+      sub: song.artists,
+      haystack: searchText(song.title, song.artists),
+      occurrences: (todayISO)=>{
+        const sy = seoianYearForGregorian(todayISO);
+        if(overflowDates?.sy !== sy){
+          overflowDates = { sy, byUrl: overflowDatesByUrl([sy - 1, sy, sy + 1]) };
+        }
+        return nearestOccurrences(overflowDates.byUrl.get(song.url) || [], todayISO);
+      },
+    });
+  }
+
+  for(const { key, entry, kindLabel } of setDaySongEntries(state.data.setDaySongs)){
+    out.push({
+      kind: 'song',
+      kindLabel,
+      title: entry.title,
+      sub: [entry.artists, entry.note].filter(Boolean).join(' • '),
+      haystack: searchText(entry.title, entry.artists, entry.note),
+      occurrences: (todayISO)=> nearestOccurrences(setDaySongDates(entry, key, todayISO), todayISO),
+    });
+  }
+
+  return out;
+}
+
+const SEARCH_KIND_ORDER = { day: 0, oneoff: 1, song: 2 };
+
+function searchEntries(query){
+  const terms = searchText(query).split(/\s+/).filter(Boolean);
+  if(!terms.length) return { total: 0, results: [] };
+
+  if(!searchIndex) searchIndex = buildSearchIndex();
+
+  const matches = searchIndex.filter(e => terms.every(t => e.haystack.includes(t)));
+  const titleHit = (e)=> terms.every(t => searchText(e.title).includes(t)) ? 0 : 1;
+
+  matches.sort((a,b)=>
+    titleHit(a) - titleHit(b) ||
+    SEARCH_KIND_ORDER[a.kind] - SEARCH_KIND_ORDER[b.kind] ||
+    a.title.localeCompare(b.title)
+  );
+
+  const todayISO = DateTime.now().setZone(state.displayTZ).toISODate();
+  const results = matches.slice(0, SEARCH.maxResults).map(e => ({ ...e, ...e.occurrences(todayISO) }));
+
+  return { total: matches.length, results };
+}
+
+function occurrenceLabel(prefix, dateISO){
+  const seo = canonicalSeoianDate(dateISO);
+  return `${prefix} ${seo.canonical ? seo.label : '—'} • ${fmtGreg(dateISO)}`;
+}
+
+function openInspectorPane(){
+  if(!window.matchMedia('(max-width: 1040px)').matches) return;
+
+  const sheet = el('bottomSheet');
+  sheet.querySelector('.tab[data-tab="inspector"]')?.click();
+  if(!sheet.classList.contains('expanded')) el('sheetHandle').click();
+}
+
+function jumpToDate(dateISO){
+  state.focusDateISO = dateISO;
+  snapshotDay(dateISO);
+  openInspectorPane();
+}
+
+function renderSearchResults(query){
+  const box = el('searchResults');
+  box.innerHTML = '';
+
+  if(searchText(query).trim().length < SEARCH.minChars){
+    box.hidden = true;
+    return;
+  }
+
+  const { total, results } = searchEntries(query);
+  box.hidden = false;
+
+  const head = document.createElement('div');
+  head.className = 'muted small';
+  head.textContent = total > results.length
+    ? `${total} matches (showing ${results.length})`
+    : `${total} match${total === 1 ? '' : 'es'}`;
+  box.appendChild(head);
+
+  for(const r of results){
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = `search-result ${r.kind}`;
+    item.disabled = !r.next && !r.prev;
+
+    const t = document.createElement('div');
+    t.className = 'title';
+    t.textContent = r.title;
+    item.appendChild(t);
+
+    const k = document.createElement('div');
+    k.className = 'note';
+    k.textContent = r.sub ? `${r.kindLabel} • ${r.sub}` : r.kindLabel;
+    item.appendChild(k);
+
+    const when = document.createElement('div');
+    when.className = 'note when';
+    when.textContent = [
+      r.next ? occurrenceLabel('Next', r.next) : '',
+      r.prev ? occurrenceLabel('Prev', r.prev) : '',
+    ].filter(Boolean).join('\n') || 'No occurrence nearby';
+    item.appendChild(when);
+
+    item.addEventListener('click', ()=>{
+      el('searchResults').hidden = true;
+      jumpToDate(r.next || r.prev);
+    });
+    box.appendChild(item);
+  }
+}
+
+function bindSearch(){
+  const input = el('searchInput');
+  const box = el('searchResults');
+  let timer = null;
+
+  input.addEventListener('input', ()=>{
+    clearTimeout(timer);
+    timer = setTimeout(()=> renderSearchResults(input.value), SEARCH.debounceMs);
+  });
+
+  input.addEventListener('focus', ()=>{
+    if(input.value) renderSearchResults(input.value);
+  });
+
+  input.addEventListener('keydown', (e)=>{
+    if(e.key === 'Escape'){
+      box.hidden = true;
+      input.blur();
+    }
+    if(e.key === 'Enter'){
+      clearTimeout(timer);
+      renderSearchResults(input.value);
+      box.querySelector('.search-result:not(:disabled)')?.click();
+    }
+  });
+
+  document.addEventListener('click', (e)=>{
+    if(box.hidden) return;
+    if(box.contains(e.target) || input.contains(e.target)) return;
+    box.hidden = true;
+  });
+}
+
+// ---------- Clocks ----------
+function makeClockSVG(kind='normal'){
+  const ns = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(ns,'svg');
+  svg.setAttribute('viewBox','0 0 200 200');
+  svg.setAttribute('width','92%');
+  svg.setAttribute('height','92%');
+
+  const face = document.createElementNS(ns,'circle');
+  face.setAttribute('cx','100');
+  face.setAttribute('cy','100');
+  face.setAttribute('r','92');
+  face.setAttribute('fill','#fff');
+  face.setAttribute('stroke','#e6e7ea');
+  face.setAttribute('stroke-width','2');
+  svg.appendChild(face);
+
+  for(let i=0;i<60;i++){
+    const tick = document.createElementNS(ns,'line');
+    const a = (Math.PI * 2 * i) / 60;
+    const r1 = (i % 5 === 0) ? 78 : 84;
+    const r2 = 90;
+    const x1 = 100 + Math.sin(a) * r1;
+    const y1 = 100 - Math.cos(a) * r1;
+    const x2 = 100 + Math.sin(a) * r2;
+    const y2 = 100 - Math.cos(a) * r2;
+    tick.setAttribute('x1', x1);
+    tick.setAttribute('y1', y1);
+    tick.setAttribute('x2', x2);
+    tick.setAttribute('y2', y2);
+    tick.setAttribute('stroke', (i % 5 === 0) ? '#cfd3da' : '#e6e7ea');
+    tick.setAttribute('stroke-width', (i % 5 === 0) ? 2 : 1);
+    svg.appendChild(tick);
+  }
+
+  function addText(id, txt, x, y){
+    const t = document.createElementNS(ns,'text');
+    t.setAttribute('x', x);
+    t.setAttribute('y', y);
+    t.setAttribute('text-anchor','middle');
+    t.setAttribute('dominant-baseline','middle');
+    t.setAttribute('font-family','ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, Liberation Mono, Courier New, monospace');
+    t.setAttribute('font-size','14');
+    t.setAttribute('fill','#5c6470');
+    t.id = id;
+    t.textContent = txt;
+    svg.appendChild(t);
+  }
+
+  if(kind === 'normal'){
+    addText('n12','12',100,34);
+    addText('n3','3',166,102);
+    addText('n6','6',100,170);
+    addText('n9','9',34,102);
+  }else if(kind === 'superday'){
+    addText('n12','0',100,34);
+    addText('n3','',166,102);
+    addText('n6','',100,170);
+    addText('n9','',34,102);
+  }
+
+  const hour = document.createElementNS(ns,'line');
+  hour.setAttribute('x1','100');
+  hour.setAttribute('y1','100');
   hour.setAttribute('x2','100');
   hour.setAttribute('y2','54');
   hour.setAttribute('stroke','#111318');
@@ -2380,157 +4580,2144 @@ function makeClockSVG(kind='normal'){
   hour.id = 'h';
   svg.appendChild(hour);
 
-  const minute = document.createElementNS(ns,'line');
-  minute.setAttribute('x1','100');
-  minute.setAttribute('y1','100');
-  minute.setAttribute('x2','100');
-  minute.setAttribute('y2','34');
-  minute.setAttribute('stroke','#111318');
-  minute.setAttribute('stroke-width','3');
-  minute.setAttribute('stroke-linecap','round');
-  minute.id = 'm';
-  svg.appendChild(minute);
+  const minute = document.createElementNS(ns,'line');
+  minute.setAttribute('x1','100');
+  minute.setAttribute('y1','100');
+  minute.setAttribute('x2','100');
+  minute.setAttribute('y2','34');
+  minute.setAttribute('stroke','#111318');
+  minute.setAttribute('stroke-width','3');
+  minute.setAttribute('stroke-linecap','round');
+  minute.id = 'm';
+  svg.appendChild(minute);
+
+  const second = document.createElementNS(ns,'line');
+  second.setAttribute('x1','100');
+  second.setAttribute('y1','108');
+  second.setAttribute('x2','100');
+  second.setAttribute('y2','24');
+  second.setAttribute('stroke','#1b6b6f');
+  second.setAttribute('stroke-width','2');
+  second.setAttribute('stroke-linecap','round');
+  second.id = 's';
+  svg.appendChild(second);
+
+  const dot = document.createElementNS(ns,'circle');
+  dot.setAttribute('cx','100');
+  dot.setAttribute('cy','100');
+  dot.setAttribute('r','5');
+  dot.setAttribute('fill','#1b6b6f');
+  svg.appendChild(dot);
+
+  return svg;
+}
+
+function rotate(elm, deg){
+  elm.setAttribute('transform', `rotate(${deg} 100 100)`);
+}
+
+function mountClocks(){
+  const hostT = el('clockTamara');
+  hostT.innerHTML = '';
+  hostT.appendChild(makeClockSVG('normal'));
+
+  const hostM = el('clockMartin');
+  hostM.innerHTML = '';
+  hostM.appendChild(makeClockSVG('normal'));
+
+  const hostS = el('clockSuperday');
+  hostS.innerHTML = '';
+  hostS.appendChild(makeClockSVG('superday'));
+}
+
+function tickClocks(){
+  ensureEastWestOrder();
+  const now = DateTime.now();
+
+  // Today's zones: the itinerary's where it has a row, else the clock selections.
+  const todayISO = now.setZone(state.displayTZ).toISODate();
+  const bounds = superDayBoundsOn(todayISO);
+
+  const tNow = now.setZone(bounds.east);
+  const mNow = now.setZone(bounds.west);
+
+  updateAnalog('clockTamara', tNow);
+  updateAnalog('clockMartin', mNow);
+  el('clockTamara').title = bounds.east === state.tamaraTZ ? '' : `${bounds.east} (itinerary)`;
+  el('clockMartin').title = bounds.west === state.martinTZ ? '' : `${bounds.west} (itinerary)`;
+
+  const ae = el('ampmEast');
+  const aw = el('ampmWest');
+  if(ae) ae.textContent = tNow.toFormat('a');
+  if(aw) aw.textContent = mNow.toFormat('a');
+
+  const startUTC = bounds.start.toUTC();
+  const endUTC = bounds.end.toUTC();
+  const durMs = endUTC.toMillis() - startUTC.toMillis();
+  const elapsedMs = clamp(now.toUTC().toMillis() - startUTC.toMillis(), 0, durMs);
+
+  el('sdTotal').textContent = durationToHHMMCeilHalfHour(durMs);
+  el('sdElapsed').textContent = durationToHHMM(elapsedMs);
+
+  const nHours = Math.max(0.5, ceilToHalfHourHours(durMs / 3600000));
+  const q1 = roundHalfUp(nHours / 4);
+  const q2 = roundHalfUp(nHours / 2);
+  const q3 = roundHalfUp(3 * nHours / 4);
+
+  const svgS = el('clockSuperday').querySelector('svg');
+  if(svgS){
+    const t12 = svgS.querySelector('#n12');
+    const t3 = svgS.querySelector('#n3');
+    const t6 = svgS.querySelector('#n6');
+    const t9 = svgS.querySelector('#n9');
+    if(t12) t12.textContent = '0';
+    if(t3) t3.textContent = String(q1);
+    if(t6) t6.textContent = String(q2);
+    if(t9) t9.textContent = String(q3);
+  }
+
+  const frac = (durMs === 0) ? 0 : (elapsedMs / durMs);
+  const hourAngle = frac * 360;
+
+  const totalSec = Math.floor(elapsedMs / 1000);
+  const sec = totalSec % 60;
+  const totalMin = Math.floor(totalSec / 60);
+  const min = totalMin % 60;
+
+  const minAngle = (min + sec / 60) * 6;
+  const secAngle = sec * 6;
+
+  const svg = el('clockSuperday').querySelector('svg');
+  if(svg){
+    rotate(svg.querySelector('#h'), hourAngle);
+    rotate(svg.querySelector('#m'), minAngle);
+    rotate(svg.querySelector('#s'), secAngle);
+  }
+
+  tickCountdowns();
+}
+
+function updateAnalog(hostId, dt){
+  const svg = el(hostId).querySelector('svg');
+  if(!svg) return;
+
+  const h = svg.querySelector('#h');
+  const m = svg.querySelector('#m');
+  const s = svg.querySelector('#s');
+
+  const hour = dt.hour % 12;
+  const minute = dt.minute;
+  const second = dt.second;
+
+  rotate(h, (hour + minute / 60) * 30);
+  rotate(m, (minute + second / 60) * 6);
+  rotate(s, second * 6);
+}
+
+function ensureEastWestOrder(){
+  const now = DateTime.now();
+  const a = now.setZone(state.tamaraTZ);
+  const b = now.setZone(state.martinTZ);
+
+  if(a.offset === b.offset) return;
+
+  if(a.offset < b.offset){
+    const tmp = state.tamaraTZ;
+    state.tamaraTZ = state.martinTZ;
+    state.martinTZ = tmp;
+
+    const iA = el('tzTamara');
+    const iB = el('tzMartin');
+    if(iA && iB){
+      const t = iA.value;
+      iA.value = iB.value;
+      iB.value = t;
+    }
+  }
+}
+
+// ---------- Countdowns ----------
+// Upcoming Special Days, SuperMonth starts and flagged one-offs, counted down
+// in both clock zones and as a SuperDay (superDayBounds). Pins live in localStorage.
+const COUNTDOWN = {
+  maxUpcoming: 8,        // unpinned entries shown before "Show all"
+  horizonDays: 400,
+  oneOffMaxRank: 3,      // one-offs ranked this or better count as flagged (star systems are 4)
+};
+
+const COUNTDOWN_PINS_KEY = 'afds.countdownPins.v1';
+
+let countdownItems = [];
+let countdownRefreshMs = 0;
+let countdownShowAll = false;
+
+function loadCountdownPins(){
+  const arr = loadStored(COUNTDOWN_PINS_KEY, []);
+  return new Set(Array.isArray(arr) ? arr : []);
+}
+
+function toggleCountdownPin(key){
+  const pins = loadCountdownPins();
+  if(pins.has(key)) pins.delete(key);
+  else pins.add(key);
+  saveStored(COUNTDOWN_PINS_KEY, [...pins]);
+  renderCountdowns();
+}
+
+function zoneShortName(zone){
+  return String(zone).split('/').pop().replace(/_/g, ' ');
+}
+
+function allDayCountdownItem(key, kind, title, sub, dateISO){
+  const b = superDayBoundsOn(dateISO);
+  return {
+    key,
+    kind,
+    title,
+    sub,
+    dateISO,
+    allDay: true,
+    startMs: b.start.toUTC().toMillis(),
+    endMs: b.end.toUTC().toMillis(),
+    east: b.east,
+    west: b.west,
+    eastStartMs: b.start.toUTC().toMillis(),
+    westStartMs: DateTime.fromISO(dateISO, {zone:b.west}).startOf('day').toUTC().toMillis(),
+  };
+}
+
+// "Today" in the western zone: a day stays upcoming until its SuperDay ends.
+function buildCountdownItems(){
+  const nowMs = Date.now();
+  const todayISO = DateTime.fromMillis(nowMs).setZone(state.martinTZ).toISODate();
+  const horizonISO = isoPlusDays(todayISO, COUNTDOWN.horizonDays);
+  const items = [];
+
+  const dayDefs = [
+    ...Array.from(state.data.syByKey?.values() || []).flat(),
+    ...(state.data.syRuleDefs || []),
+    ...(state.data.gyDefs || []),
+    ...(state.data.lunarDefs || []),
+  ];
+  const seen = new Set();
+
+  for(const def of dayDefs){
+    if(seen.has(def.id) || !isSpecialCategory(def.category)) continue;
+    seen.add(def.id);
+
+    const { next } = dayDefOccurrences(def, todayISO);
+    if(!next || next > horizonISO) continue;
+    items.push(allDayCountdownItem(`day:${def.id}`, 'special', def.title, def.category, next));
+  }
+
+  const sy = seoianYearForGregorian(todayISO);
+  const nextStarts = new Map();
+  for(const r of [...rangesForSeoianYear(sy), ...rangesForSeoianYear(sy + 1)]){
+    if(r.start < todayISO || nextStarts.has(r.monthNo)) continue;
+    nextStarts.set(r.monthNo, r);
+  }
+  for(const r of nextStarts.values()){
+    if(r.start > horizonISO) continue;
+    items.push(allDayCountdownItem(`supermonth:${r.monthNo}`, 'supermonth', `${r.monthName} begins`, r.extendedName || 'SuperMonth', r.start));
+  }
+
+  // Flagged one-offs: all within the horizon, plus the next of each category
+  // however far away (the next MiAViG can be years out).
+  const oneOffs = (state.data.oneOffDefs || [])
+    .filter(def => (def.rank ?? 9) <= COUNTDOWN.oneOffMaxRank && def.endUtcMs > nowMs)
+    .sort((a,b)=> a.startUtcMs - b.startUtcMs);
+  const seenCategories = new Set();
+
+  for(const def of oneOffs){
+    const startISO = def.allDay
+      ? oneOffSpanISO(def).startISO
+      : DateTime.fromMillis(def.startUtcMs).setZone(state.martinTZ).toISODate();
+
+    const firstOfCategory = !seenCategories.has(def.category);
+    seenCategories.add(def.category);
+    if(startISO > horizonISO && !firstOfCategory) continue;
+
+    if(def.allDay){
+      const item = allDayCountdownItem(`oneoff:${def.id}`, 'oneoff', def.title, def.category, startISO);
+      items.push({ ...item, endMs: Math.max(item.endMs, def.endUtcMs) });
+      continue;
+    }
+
+    const zones = partnerZonesForDate(startISO);
+    const { east, west } = eastWestZones(startISO, zones.tamaraTZ, zones.martinTZ);
+    items.push({
+      key: `oneoff:${def.id}`,
+      kind: 'oneoff',
+      title: def.title,
+      sub: def.category,
+      dateISO: startISO,
+      allDay: false,
+      startMs: def.startUtcMs,
+      endMs: def.endUtcMs,
+      east,
+      west,
+    });
+  }
+
+  items.sort((a,b)=> a.startMs - b.startMs || a.title.localeCompare(b.title));
+  return items;
+}
+
+function fmtCountdown(ms){
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const d = Math.floor(total / 86400);
+  const h = Math.floor((total % 86400) / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const hms = `${pad2(h)}:${pad2(m)}:${pad2(s)}`;
+  return d ? `${d}d ${hms}` : hms;
+}
+
+function countdownText(startMs, endMs, nowMs){
+  if(nowMs < startMs) return `in ${fmtCountdown(startMs - nowMs)}`;
+  if(endMs && nowMs < endMs) return `now • ${fmtCountdown(endMs - nowMs)} left`;
+  return 'passed';
+}
+
+function countdownRow(label, startMs, endMs){
+  const row = document.createElement('div');
+  row.className = 'countdown-row';
+
+  const l = document.createElement('span');
+  l.className = 'muted';
+  l.textContent = label;
+  row.appendChild(l);
+
+  const v = document.createElement('span');
+  v.className = 'countdown-time';
+  v.dataset.countdownStart = String(startMs);
+  if(endMs) v.dataset.countdownEnd = String(endMs);
+  v.textContent = countdownText(startMs, endMs, Date.now());
+  row.appendChild(v);
+
+  return row;
+}
+
+function renderCountdowns(){
+  const host = el('countdownList');
+  if(!host) return;
+
+  countdownItems = buildCountdownItems();
+  countdownRefreshMs = countdownItems.length
+    ? Math.min(...countdownItems.map(i => i.endMs))
+    : Date.now() + 3600000;
+
+  const pins = loadCountdownPins();
+  const pinned = countdownItems.filter(i => pins.has(i.key));
+  const rest = countdownItems.filter(i => !pins.has(i.key));
+  const shown = countdownShowAll ? rest : rest.slice(0, COUNTDOWN.maxUpcoming);
+
+  host.innerHTML = '';
+
+  for(const item of [...pinned, ...shown]){
+    const div = document.createElement('div');
+    div.className = `eventitem countdown ${item.kind}${pins.has(item.key) ? ' pinned' : ''}`;
+
+    const pin = document.createElement('button');
+    pin.type = 'button';
+    pin.className = 'countdown-pin';
+    pin.dataset.countdownPin = item.key;
+    pin.textContent = pins.has(item.key) ? '★' : '☆';
+    pin.title = pins.has(item.key) ? 'Unpin' : 'Pin';
+    pin.setAttribute('aria-pressed', String(pins.has(item.key)));
+    div.appendChild(pin);
+
+    const t = document.createElement('div');
+    t.className = 'title';
+    t.dataset.countdownDate = item.dateISO;
+    t.textContent = item.title;
+    div.appendChild(t);
+
+    const seo = canonicalSeoianDate(item.dateISO);
+    const when = item.allDay
+      ? `${seo.canonical ? seo.label : '—'} • ${fmtGreg(item.dateISO)}`
+      : DateTime.fromMillis(item.startMs).setZone(item.east).toFormat('dd/LL/yyyy HH:mm');
+    const n = document.createElement('div');
+    n.className = 'note';
+    n.textContent = item.sub ? `${when} • ${item.sub}` : when;
+    div.appendChild(n);
+
+    if(item.allDay){
+      div.appendChild(countdownRow(zoneShortName(item.east), item.eastStartMs, null));
+      if(item.west !== item.east) div.appendChild(countdownRow(zoneShortName(item.west), item.westStartMs, null));
+      div.appendChild(countdownRow('SuperDay', item.startMs, item.endMs));
+    }else{
+      const local = (zone)=> DateTime.fromMillis(item.startMs).setZone(zone).toFormat('ccc HH:mm');
+      const zones = item.west === item.east ? [item.east] : [item.east, item.west];
+      const z = document.createElement('div');
+      z.className = 'note';
+      z.textContent = zones.map(zone => `${zoneShortName(zone)} ${local(zone)}`).join(' • ');
+      div.appendChild(z);
+      div.appendChild(countdownRow('Starts', item.startMs, item.endMs));
+    }
+
+    host.appendChild(div);
+  }
+
+  if(!countdownItems.length){
+    host.innerHTML = '<div class="muted small">Nothing coming up.</div>';
+  }
+
+  const more = el('countdownMore');
+  if(more){
+    more.hidden = rest.length <= COUNTDOWN.maxUpcoming;
+    more.textContent = countdownShowAll ? 'Show fewer' : `Show all (${rest.length})`;
+  }
+}
+
+// Called every second from tickClocks(); also updates the mobile sheet copy.
+function tickCountdowns(){
+  const nowMs = Date.now();
+  if(nowMs >= countdownRefreshMs){
+    renderCountdowns();
+    renderMobileSheetMirrors();
+    return;
+  }
+
+  document.querySelectorAll('.countdown-time').forEach(node => {
+    const start = Number(node.dataset.countdownStart);
+    const end = node.dataset.countdownEnd ? Number(node.dataset.countdownEnd) : null;
+    node.textContent = countdownText(start, end, nowMs);
+  });
+}
+
+// Delegated so the cloned panel in the mobile sheet works too.
+function bindCountdowns(){
+  document.addEventListener('click', (e)=>{
+    const pin = e.target.closest('[data-countdown-pin]');
+    if(pin){
+      toggleCountdownPin(pin.dataset.countdownPin);
+      renderMobileSheetMirrors();
+      return;
+    }
+
+    const title = e.target.closest('[data-countdown-date]');
+    if(title) jumpToDate(title.dataset.countdownDate);
+
+    if(e.target.closest('#countdownMore')){
+      countdownShowAll = !countdownShowAll;
+      renderCountdowns();
+      renderMobileSheetMirrors();
+    }
+  });
+}
+
+// ---------- Playlist ----------
+// Every day's Silent Sounds track, then its Overflow tracks, for a range;
+// downloaded as M3U, CSV or JSON to rebuild the soundtrack elsewhere. The
+// preview only resolves the days it shows; the full list is built on download,
+// and a range is at most one Seoian year (Overflow lookups are slow).
+const PLAYLIST_EXPORT_VERSION = 'afds-playlist-v1';
+const PLAYLIST_PREVIEW_MAX = 60;
+const PLAYLIST_MAX_DAYS = 366;
+
+// Stops once it has `limit` tracks.
+function playlistForRange(startISO, endISO, limit=Infinity){
+  const tracks = [];
+
+  for(let i=0;i<daysInclusive(startISO, endISO) && tracks.length < limit;i++){
+    const dateISO = isoPlusDays(startISO, i);
+    const { song, extras } = silentSoundsForDate(dateISO);
+
+    if(song){
+      tracks.push({
+        dateISO,
+        seoianLabel: song.seoianLabel || seoianSongSlotsForDate(dateISO).primary?.seoianLabel || '—',
+        slot: song.source ? 'Set Day Song' : 'Silent Sounds',
+        title: song.title,
+        artists: song.artists || '',
+        url: song.url || ''
+      });
+    }
+
+    for(const extra of extras){
+      tracks.push({
+        dateISO,
+        seoianLabel: extra.seoianLabel,
+        slot: 'Set Day Song',
+        title: extra.title,
+        artists: extra.artists || '',
+        url: extra.url || ''
+      });
+    }
+
+    for(const o of overflowSongsForDate(dateISO)){
+      tracks.push({
+        dateISO,
+        seoianLabel: o.seoianLabel || '—',
+        slot: 'Overflow',
+        title: o.title,
+        artists: o.artists || '',
+        url: o.url || ''
+      });
+    }
+  }
+
+  return tracks;
+}
+
+function playlistM3U(name, tracks){
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  for(const t of tracks){
+    lines.push(`# ${t.seoianLabel} • ${fmtGreg(t.dateISO)} • ${t.slot}`);
+    lines.push(`#EXTINF:-1,${t.artists ? `${t.artists} - ` : ''}${t.title}`);
+    lines.push(t.url);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function csvField(v){
+  const s = String(v ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function playlistCSV(tracks){
+  const rows = [['Date', 'Seoian', 'Gregorian', 'Slot', 'Song Title', 'Artists', 'Spotify URL']];
+  for(const t of tracks){
+    rows.push([t.dateISO, t.seoianLabel, fmtGreg(t.dateISO), t.slot, t.title, t.artists, t.url]);
+  }
+  return rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function playlistJSON(name, startISO, endISO, tracks){
+  return JSON.stringify({
+    version: PLAYLIST_EXPORT_VERSION,
+    exported_utc: new Date().toISOString(),
+    name,
+    from: startISO,
+    to: endISO,
+    tracks: tracks.map(t => ({
+      date: t.dateISO,
+      seoian: t.seoianLabel,
+      gregorian: fmtGreg(t.dateISO),
+      slot: t.slot,
+      title: t.title,
+      artists: t.artists,
+      url: t.url
+    }))
+  }, null, 2);
+}
+
+// { startISO, endISO, name } for the Playlist dropdown, or null with a reason shown.
+function playlistRange(){
+  const preset = el('playlistRange').value;
+  const r = (preset === 'custom') ? null : exportRangeForPreset(preset);
+
+  const startISO = r ? r.startISO : el('playlistFrom').value;
+  const endISO = r ? r.endISO : el('playlistTo').value;
+
+  if(!startISO || !endISO) return null;
+  if(endISO < startISO) return null;
+  if(daysInclusive(startISO, endISO) > PLAYLIST_MAX_DAYS) return null;
+  return { startISO, endISO, name: r ? r.name : `${startISO}_${endISO}` };
+}
+
+function renderPlaylist(){
+  const preset = el('playlistRange').value;
+  el('playlistCustom').hidden = preset !== 'custom';
+
+  const preview = (preset === 'custom') ? null : exportRangeForPreset(preset);
+  if(preview){
+    el('playlistFrom').value = preview.startISO;
+    el('playlistTo').value = preview.endISO;
+  }
+
+  const box = el('playlistResults');
+  box.innerHTML = '';
+
+  const r = playlistRange();
+  const buttons = ['btnPlaylistM3u', 'btnPlaylistCsv', 'btnPlaylistJson'];
+  if(!r){
+    const from = el('playlistFrom').value;
+    const to = el('playlistTo').value;
+    el('playlistSummary').textContent = preset === 'superMonth' ? 'This date is in no SuperMonth.'
+      : (from && to && to >= from) ? `Pick at most ${PLAYLIST_MAX_DAYS} days (one Seoian year).`
+      : 'Pick a start and end date (end on or after start).';
+    buttons.forEach(id => { el(id).disabled = true; });
+    return;
+  }
+
+  const days = daysInclusive(r.startISO, r.endISO);
+  const tracks = playlistForRange(r.startISO, r.endISO, PLAYLIST_PREVIEW_MAX + 1);
+  el('playlistSummary').textContent = `${fmtGreg(r.startISO)} → ${fmtGreg(r.endISO)} • ${days} ${days === 1 ? 'day' : 'days'}`;
+  buttons.forEach(id => { el(id).disabled = !tracks.length; });
+
+  for(const t of tracks.slice(0, PLAYLIST_PREVIEW_MAX)){
+    const row = document.createElement('div');
+    row.className = `playlist-track playlist-${t.slot === 'Overflow' ? 'overflow' : 'silent'}`;
+
+    const when = document.createElement('div');
+    when.className = 'when';
+    when.textContent = `${t.seoianLabel} • ${fmtGreg(t.dateISO)} • ${t.slot}`;
+    row.appendChild(when);
+
+    row.appendChild(songLinkEl(t, t.artists ? `${t.title} — ${t.artists}` : t.title));
+    box.appendChild(row);
+  }
+
+  if(tracks.length > PLAYLIST_PREVIEW_MAX){
+    const more = document.createElement('div');
+    more.className = 'muted small';
+    more.textContent = '… and more in the download.';
+    box.appendChild(more);
+  }
+}
+
+function downloadPlaylist(format){
+  const r = playlistRange();
+  if(!r) return;
+
+  const tracks = playlistForRange(r.startISO, r.endISO);
+  const file = `AFdS_Playlist_${r.name}`;
+
+  if(format === 'm3u') downloadTextFile(`${file}.m3u`, playlistM3U(r.name, tracks), 'audio/x-mpegurl;charset=utf-8');
+  if(format === 'csv') downloadTextFile(`${file}.csv`, playlistCSV(tracks), 'text/csv;charset=utf-8');
+  if(format === 'json') downloadTextFile(`${file}.json`, playlistJSON(r.name, r.startISO, r.endISO, tracks), 'application/json');
+}
+
+function bindPlaylist(){
+  el('btnPlaylist').addEventListener('click', ()=>{
+    const dd = el('playlistDropdown');
+    dd.hidden = !dd.hidden;
+    el('btnPlaylist').setAttribute('aria-expanded', String(!dd.hidden));
+    if(!dd.hidden) renderPlaylist();
+  });
+
+  document.addEventListener('click', (e)=>{
+    const dd = el('playlistDropdown');
+    const btn = el('btnPlaylist');
+    if(dd.hidden) return;
+    if(dd.contains(e.target) || btn.contains(e.target)) return;
+    dd.hidden = true;
+    btn.setAttribute('aria-expanded', 'false');
+  });
+
+  el('playlistRange').addEventListener('change', renderPlaylist);
+  el('playlistFrom').addEventListener('change', renderPlaylist);
+  el('playlistTo').addEventListener('change', renderPlaylist);
+
+  el('btnPlaylistM3u').addEventListener('click', ()=> downloadPlaylist('m3u'));
+  el('btnPlaylistCsv').addEventListener('click', ()=> downloadPlaylist('csv'));
+  el('btnPlaylistJson').addEventListener('click', ()=> downloadPlaylist('json'));
+}
+
+// ---------- Song report ----------
+// Plays per track and artist for one Seoian year, last/next play around today,
+// tracks the year never reaches and Spotify IDs listed more than once.
+const SONG_REPORT = {
+  scanDays: 800    // Silent Sounds last/next: two rotation cycles either side of today
+};
+
+let songReportYear = null;
+let songReportCache = null;     // the built report, so filtering doesn't rebuild it
+
+function songArtists(song){
+  return String(song.artists || '').split(',').map(a => a.trim()).filter(Boolean);
+}
+
+function buildSongReport(sy){
+  const todayISO = DateTime.now().setZone(state.displayTZ).toISODate();
+  const tracks = new Map();
+
+  const track = (song, source)=>{
+    if(!song?.url) return null;
+    if(!tracks.has(song.url)){
+      tracks.set(song.url, { url: song.url, title: song.title, artists: song.artists || '', sources: new Set(), yearDates: [], dates: [] });
+    }
+    const t = tracks.get(song.url);
+    t.sources.add(source);
+    return t;
+  };
+
+  (state.data.silentSounds || []).forEach(song => track(song, 'Silent Sounds'));
+  (state.data.overflowSounds || []).forEach(song => track(song, 'Overflow'));
+
+  for(const { key, entry } of setDaySongEntries(state.data.setDaySongs)){
+    const t = track(entry, 'Set Day Song');
+    if(t) t.dates.push(...setDaySongDates(entry, key, todayISO));
+  }
+
+  for(let i=-SONG_REPORT.scanDays;i<=SONG_REPORT.scanDays;i++){
+    const dateISO = isoPlusDays(todayISO, i);
+    const song = silentSoundForDate(dateISO);
+    if(song && !song.source) tracks.get(song.url)?.dates.push(dateISO);
+  }
+
+  const todaySY = seoianYearForGregorian(todayISO);
+  for(const [url, dates] of overflowDatesByUrl([todaySY - 1, todaySY, todaySY + 1])){
+    tracks.get(url)?.dates.push(...dates);
+  }
+
+  const { startISO, endISO } = seoianYearBounds(sy);
+  const artists = new Map();
+  let plays = 0;
+
+  const play = (song, dateISO)=>{
+    const t = song && tracks.get(song.url);
+    if(!t) return;
+    t.yearDates.push(dateISO);
+    plays++;
+    for(const a of songArtists(song)) artists.set(a, (artists.get(a) || 0) + 1);
+  };
+
+  for(let i=0;i<daysInclusive(startISO, endISO);i++){
+    const dateISO = isoPlusDays(startISO, i);
+    const { song, extras } = silentSoundsForDate(dateISO);
+    if(song) play(song, dateISO);
+    for(const extra of extras) play(extra, dateISO);
+  }
+
+  // Same plays as overflowSongsForDate() day by day, which is slow over a year.
+  for(const [url, dates] of overflowDatesByUrl([sy])){
+    for(const dateISO of dates) play(tracks.get(url), dateISO);
+  }
+
+  const list = Array.from(tracks.values());
+  for(const t of list) Object.assign(t, nearestOccurrences(t.dates, todayISO));
+  list.sort((a,b)=> a.title.localeCompare(b.title) || a.artists.localeCompare(b.artists));
+
+  const byId = new Map();
+  const rows = [
+    ...(state.data.silentSounds || []).map((song, i) => ({ song, where: `Silent Sounds #${i + 1}` })),
+    ...(state.data.overflowSounds || []).map((song, i) => ({ song, where: `Overflow #${i + 1}` })),
+  ];
+  for(const r of rows){
+    const id = spotifyTrackId(r.song.url);
+    if(!id) continue;
+    if(!byId.has(id)) byId.set(id, []);
+    byId.get(id).push(r);
+  }
+
+  return {
+    sy,
+    startISO,
+    endISO,
+    plays,
+    tracks: list,
+    artists: Array.from(artists.entries()).sort((a,b)=> b[1] - a[1] || a[0].localeCompare(b[0])),
+    unscheduled: list.filter(t => !t.yearDates.length),
+    duplicates: Array.from(byId.entries()).filter(([, rs]) => rs.length > 1)
+  };
+}
+
+function songReportDateLink(label, dateISO){
+  const span = document.createElement('span');
+  if(!dateISO){
+    span.textContent = `${label} —`;
+    return span;
+  }
+  span.className = 'songreport-date';
+  span.dataset.songDate = dateISO;
+  span.textContent = `${label} ${fmtGreg(dateISO)}`;
+  return span;
+}
+
+function songReportTrackRow(t){
+  const row = document.createElement('div');
+  row.className = 'pop-item songreport-track';
+
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = t.artists ? `${t.title} — ${t.artists}` : t.title;
+  row.appendChild(title);
+
+  const meta = document.createElement('div');
+  meta.className = 'note';
+  meta.appendChild(document.createTextNode(`${[...t.sources].join(', ')} • ${t.yearDates.length}× this year • `));
+  meta.appendChild(songReportDateLink('Last', t.prev));
+  meta.appendChild(document.createTextNode(' • '));
+  meta.appendChild(songReportDateLink('Next', t.next));
+  row.appendChild(meta);
+
+  return row;
+}
+
+function renderSongReport(){
+  if(songReportCache?.sy !== songReportYear) songReportCache = buildSongReport(songReportYear);
+  const report = songReportCache;
+  const filter = searchText(el('songReportFilter').value).trim();
+  const body = el('songReportBody');
+  body.innerHTML = '';
+
+  el('songReportTitle').textContent = `Song report • Seoian Year ${fmtSeoianYear(report.sy)}`;
+  el('songReportSummary').textContent =
+    `${fmtGreg(report.startISO)} → ${fmtGreg(report.endISO)} • ${report.plays} plays • ${report.tracks.length} tracks, ${report.unscheduled.length} not scheduled this year`;
+
+  const tracks = filter
+    ? report.tracks.filter(t => searchText(t.title, t.artists).includes(filter))
+    : report.tracks;
+
+  const sections = [
+    [`Tracks (${tracks.length})`, tracks.map(songReportTrackRow)],
+    [`Artists this Seoian year (${report.artists.length})`, report.artists.map(([a, n]) => {
+      const row = document.createElement('div');
+      row.className = 'factrow';
+      const k = document.createElement('span');
+      k.textContent = a;
+      const v = document.createElement('span');
+      v.textContent = String(n);
+      row.appendChild(k);
+      row.appendChild(v);
+      return row;
+    })],
+    [`Not scheduled this Seoian year (${report.unscheduled.length})`, report.unscheduled.map(songReportTrackRow)],
+    [`Duplicate Spotify track IDs (${report.duplicates.length})`, report.duplicates.map(([id, rs]) => {
+      const row = document.createElement('div');
+      row.className = 'pop-item';
+      row.textContent = `${id}: ${rs.map(r => `${r.where} (${r.song.title})`).join(', ')}`;
+      return row;
+    })],
+  ];
+
+  for(const [title, rows] of sections){
+    const section = document.createElement('div');
+    section.className = 'section';
+
+    const t = document.createElement('div');
+    t.className = 'section-title';
+    t.textContent = title;
+    section.appendChild(t);
+
+    if(!rows.length){
+      const empty = document.createElement('div');
+      empty.className = 'muted small';
+      empty.textContent = 'None.';
+      section.appendChild(empty);
+    }
+    rows.forEach(r => section.appendChild(r));
+
+    body.appendChild(section);
+  }
+}
+
+function openSongReport(){
+  songReportYear = seoianYearForGregorian(state.focusDateISO);
+  songReportCache = null;
+  renderSongReport();
+  el('songReport').hidden = false;
+}
+
+function closeSongReport(){
+  el('songReport').hidden = true;
+}
+
+function bindSongReport(){
+  el('btnSongReport').addEventListener('click', ()=>{
+    el('playlistDropdown').hidden = true;
+    el('btnPlaylist').setAttribute('aria-expanded', 'false');
+    openSongReport();
+  });
+
+  el('songReportClose').addEventListener('click', closeSongReport);
+  el('songReportPrev').addEventListener('click', ()=>{ songReportYear--; renderSongReport(); });
+  el('songReportNext').addEventListener('click', ()=>{ songReportYear++; renderSongReport(); });
+
+  let timer = null;
+  el('songReportFilter').addEventListener('input', ()=>{
+    clearTimeout(timer);
+    timer = setTimeout(renderSongReport, SEARCH.debounceMs);
+  });
+
+  document.addEventListener('click', (e)=>{
+    const pop = el('songReport');
+    if(pop.hidden) return;
+
+    const go = e.target.closest('[data-song-date]');
+    if(go){
+      closeSongReport();
+      jumpToDate(go.dataset.songDate);
+      return;
+    }
+
+    if(!pop.contains(e.target) && !el('btnSongReport').contains(e.target)) closeSongReport();
+  });
+
+  document.addEventListener('keydown', (e)=>{
+    if(e.key === 'Escape' && !el('songReport').hidden) closeSongReport();
+  });
+}
+
+// ---------- Print ----------
+// One page per SuperMonth (fridge copies, gifts), built in #printRoot, which
+// only the print stylesheet shows. Heights are the paper less PRINT.margin.
+const PRINT = {
+  papers: {
+    a4: { size: 'A4 portrait', height: '277mm' },
+    letter: { size: 'letter portrait', height: '259mm' }
+  },
+  margin: '10mm'
+};
+
+function superMonthConfig(monthNo){
+  return (state.data.config || []).find(c => c.monthNo === monthNo) || null;
+}
+
+function printTextEl(className, text){
+  const div = document.createElement('div');
+  div.className = className;
+  div.textContent = text;
+  return div;
+}
+
+function printDayCell(dateISO, range){
+  const cell = document.createElement('div');
+  cell.className = 'print-day';
+
+  const head = document.createElement('div');
+  head.className = 'print-day-head';
+
+  const sd = document.createElement('span');
+  sd.className = 'print-sd';
+  sd.textContent = String(daysInclusive(range.start, dateISO));
+  head.appendChild(sd);
+
+  const moon = lunarPhasesForDate(dateISO).map(e => e.marker).join(' ');
+  if(moon){
+    const m = document.createElement('span');
+    m.className = 'print-moon';
+    m.textContent = moon;
+    head.appendChild(m);
+  }
+
+  const g = document.createElement('span');
+  g.className = 'print-g';
+  g.textContent = fmtGreg(dateISO).slice(0, 5);
+  head.appendChild(g);
+
+  cell.appendChild(head);
+
+  for(const def of recurringDayDefsForDate(dateISO, 'showOnCalendar')){
+    if(isSpecialCategory(def.category)) cell.appendChild(printTextEl('print-special', def.title));
+  }
+
+  const song = silentSoundForDate(dateISO);
+  if(song) cell.appendChild(printTextEl('print-song', `♪ ${song.title}`));
+
+  return cell;
+}
+
+function renderPrintPage(seoYear, monthNo){
+  const range = getRangeForMonth(seoYear, monthNo);
+  if(!range) return null;
+
+  const cfg = superMonthConfig(monthNo) || {};
+  const page = document.createElement('section');
+  page.className = 'print-page';
+
+  const head = document.createElement('header');
+  head.className = 'print-head';
+
+  const title = document.createElement('h1');
+  title.textContent = range.monthName;
+  head.appendChild(title);
+
+  head.appendChild(printTextEl('print-year', `SuperMonth ${monthNo} • Seoian Year ${fmtSeoianYear(seoYear)}`));
+  head.appendChild(printTextEl('print-ext', cfg.extendedName || range.extendedName || ''));
+
+  const names = [cfg.latin && `Latin: ${cfg.latin}`, cfg.french && `French: ${cfg.french}`].filter(Boolean).join(' • ');
+  if(names) head.appendChild(printTextEl('print-meta', names));
+  if(cfg.gaelicPronunciation) head.appendChild(printTextEl('print-meta', cfg.gaelicPronunciation));
+  if(cfg.location) head.appendChild(printTextEl('print-meta', cfg.location));
+
+  head.appendChild(printTextEl('print-meta', `${fmtGreg(range.start)} – ${fmtGreg(range.end)} • ${daysInclusive(range.start, range.end)} days`));
+  page.appendChild(head);
+
+  const grid = document.createElement('div');
+  grid.className = 'print-grid';
+
+  for(const d of DOW) grid.appendChild(printTextEl('print-dow', d));
+
+  // Sunday-first weeks, like the month view.
+  const lead = DateTime.fromISO(range.start, {zone:'UTC'}).weekday % 7;
+  const days = daysInclusive(range.start, range.end);
+  const weeks = Math.ceil((lead + days) / 7);
+  grid.style.setProperty('--print-weeks', String(weeks));
+
+  for(let i=0;i<weeks * 7;i++){
+    const n = i - lead;
+    grid.appendChild(n >= 0 && n < days
+      ? printDayCell(isoPlusDays(range.start, n), range)
+      : printTextEl('print-day blank', ''));
+  }
+
+  page.appendChild(grid);
+  const moons = Object.keys(LUNAR_PHASES.markers).map(k => `${LUNAR_PHASES.markers[k]} ${LUNAR_PHASES.names[k]}`).join('  ');
+  page.appendChild(printTextEl('print-foot', `Seoian day (large) • Gregorian dd/mm • ${moons} • ♪ Silent Sounds`));
+
+  return page;
+}
+
+function printSuperMonths(seoYear, monthNos){
+  const root = el('printRoot');
+  root.innerHTML = '';
+
+  for(const monthNo of monthNos){
+    const page = renderPrintPage(seoYear, monthNo);
+    if(page) root.appendChild(page);
+  }
+
+  if(!root.children.length){
+    el('printSummary').textContent = 'Nothing to print: no SuperMonth ranges for this year.';
+    return;
+  }
+
+  const paper = PRINT.papers[el('printPaper').value] || PRINT.papers.a4;
+  let style = el('printPageStyle');
+  if(!style){
+    style = document.createElement('style');
+    style.id = 'printPageStyle';
+    document.head.appendChild(style);
+  }
+  style.textContent = `@page{ size:${paper.size}; margin:${PRINT.margin}; }`;
+  root.style.setProperty('--print-page-h', paper.height);
+
+  window.print();
+}
+
+function printTarget(){
+  const seo = canonicalSeoianDate(state.focusDateISO);
+  return { year: seo.year, monthNo: seo.canonical?.monthNo ?? null, monthName: seo.canonical?.monthName ?? null };
+}
+
+function syncPrintControls(){
+  const t = printTarget();
+  el('btnPrintMonth').disabled = !t.monthNo;
+  el('printSummary').textContent = t.monthNo
+    ? `${t.monthName}, Seoian Year ${fmtSeoianYear(t.year)}`
+    : `Seoian Year ${fmtSeoianYear(t.year)}`;
+}
+
+function bindPrint(){
+  el('btnPrint').addEventListener('click', ()=>{
+    const dd = el('printDropdown');
+    dd.hidden = !dd.hidden;
+    el('btnPrint').setAttribute('aria-expanded', String(!dd.hidden));
+    if(!dd.hidden) syncPrintControls();
+  });
+
+  document.addEventListener('click', (e)=>{
+    const dd = el('printDropdown');
+    const btn = el('btnPrint');
+    if(dd.hidden) return;
+    if(dd.contains(e.target) || btn.contains(e.target)) return;
+    dd.hidden = true;
+    btn.setAttribute('aria-expanded', 'false');
+  });
+
+  el('btnPrintMonth').addEventListener('click', ()=>{
+    const t = printTarget();
+    if(t.monthNo) printSuperMonths(t.year, [t.monthNo]);
+  });
+
+  el('btnPrintYear').addEventListener('click', ()=>{
+    const t = printTarget();
+    printSuperMonths(t.year, Array.from({length: 13}, (_, i)=> i + 1));
+  });
+
+  window.addEventListener('afterprint', ()=>{ el('printRoot').innerHTML = ''; });
+}
+
+// ---------- Meeting planner ----------
+// Finds when both partners are free across a range of SuperDays. Available hours
+// are wall-clock times in each partner's own zone, so Luxon carries them across
+// DST changes. A window can be saved as a local one-off (source 'planner').
+const PLANNER = {
+  maxDays: 62,
+  maxWindows: 100,
+  defaultDays: 7
+};
+
+let plannerWindows = [];
+
+// [startMs, endMs) for each local date in the zone; an end at or before the
+// start runs past midnight into the next day.
+function availabilityIntervals(zone, fromISO, toISO, fromHHMM, toHHMM){
+  const out = [];
+  let d = DateTime.fromISO(fromISO, {zone});
+  const last = DateTime.fromISO(toISO, {zone});
+
+  while(d <= last){
+    const dateISO = d.toISODate();
+    const start = DateTime.fromISO(`${dateISO}T${fromHHMM}`, {zone});
+    let end = DateTime.fromISO(`${dateISO}T${toHHMM}`, {zone});
+    if(end <= start) end = DateTime.fromISO(`${d.plus({days:1}).toISODate()}T${toHHMM}`, {zone});
+    out.push([start.toMillis(), end.toMillis()]);
+    d = d.plus({days:1});
+  }
+
+  return out;
+}
+
+function intersectIntervals(a, b){
+  const out = [];
+  let i = 0;
+  let j = 0;
+
+  while(i < a.length && j < b.length){
+    const s = Math.max(a[i][0], b[j][0]);
+    const e = Math.min(a[i][1], b[j][1]);
+    if(e > s){
+      const prev = out[out.length - 1];
+      if(prev && prev[1] >= s) prev[1] = Math.max(prev[1], e);
+      else out.push([s, e]);
+    }
+    if(a[i][1] < b[j][1]) i++; else j++;
+  }
+
+  return out;
+}
+
+// Every SuperDay holding the instant. Each date uses its own zones, and no
+// zone is more than a day from UTC, so the UTC date ±1 covers them all.
+function superDaysContaining(ms){
+  const utcISO = DateTime.fromMillis(ms, {zone:'utc'}).toISODate();
+
+  const out = [];
+  for(let i=-1;i<=1;i++){
+    const dateISO = isoPlusDays(utcISO, i);
+    const b = superDayBoundsOn(dateISO);
+    if(ms < b.start.toMillis() || ms > b.end.toMillis()) continue;
+    out.push({ dateISO, elapsedMs: ms - b.start.toMillis() });
+  }
+  return out;
+}
+
+function findMeetingWindows({ fromISO, toISO, east, west, minMinutes }){
+  const spanStart = superDayBoundsOn(fromISO).start.toMillis();
+  const spanEnd = superDayBoundsOn(toISO).end.toMillis() + 1;
+
+  const a = availabilityIntervals(state.tamaraTZ, isoPlusDays(fromISO, -1), isoPlusDays(toISO, 1), east[0], east[1]);
+  const b = availabilityIntervals(state.martinTZ, isoPlusDays(fromISO, -1), isoPlusDays(toISO, 1), west[0], west[1]);
+
+  const windows = [];
+  for(const [s, e] of intersectIntervals(a, b)){
+    const startMs = Math.max(s, spanStart);
+    const endMs = Math.min(e, spanEnd);
+    if(endMs - startMs < minMinutes * 60000) continue;
+    windows.push({ startMs, endMs, superDays: superDaysContaining(startMs) });
+  }
+  return windows;
+}
+
+// Dates in the range where a zone's UTC offset differs from the day before.
+function offsetChanges(zone, fromISO, toISO){
+  const out = [];
+  let prev = DateTime.fromISO(isoPlusDays(fromISO, -1), {zone}).set({hour:12}).offset;
+  for(let dateISO = fromISO; dateISO <= toISO; dateISO = isoPlusDays(dateISO, 1)){
+    const off = DateTime.fromISO(dateISO, {zone}).set({hour:12}).offset;
+    if(off !== prev) out.push(dateISO);
+    prev = off;
+  }
+  return out;
+}
+
+function plannerOneOffId(w){
+  return `PLAN_${w.startMs}_${w.endMs}`;
+}
+
+function plannerWindowLine(zone, w){
+  const s = DateTime.fromMillis(w.startMs).setZone(zone);
+  const e = DateTime.fromMillis(w.endMs).setZone(zone);
+  const endFmt = e.hasSame(s, 'day') ? 'HH:mm' : 'ccc HH:mm';
+  return `${zoneShortName(zone)} ${s.toFormat('ccc d LLL HH:mm')}–${e.toFormat(endFmt)}`;
+}
+
+function syncPlannerControls(){
+  el('plannerEastLabel').textContent = `Eastern TZ free (${zoneShortName(state.tamaraTZ)})`;
+  el('plannerWestLabel').textContent = `Western TZ free (${zoneShortName(state.martinTZ)})`;
+
+  if(!el('plannerFrom').value){
+    el('plannerFrom').value = state.focusDateISO;
+    el('plannerTo').value = isoPlusDays(state.focusDateISO, PLANNER.defaultDays - 1);
+  }
+
+  const n = loadLocalOneOffs().filter(d => d.source === 'planner').length;
+  el('btnClearPlanned').disabled = !n;
+}
+
+function runMeetingPlanner(){
+  const fromISO = el('plannerFrom').value;
+  const toISO = el('plannerTo').value;
+  const east = [el('plannerEastFrom').value, el('plannerEastTo').value];
+  const west = [el('plannerWestFrom').value, el('plannerWestTo').value];
+  const minMinutes = Number(el('plannerMin').value) || 60;
+
+  plannerWindows = [];
+
+  if(!isValidDateParam(fromISO) || !isValidDateParam(toISO) || toISO < fromISO){
+    el('plannerSummary').textContent = 'Choose a start and end date.';
+  }else if(![...east, ...west].every(v => /^\d{2}:\d{2}$/.test(v))){
+    el('plannerSummary').textContent = 'Fill in both partners’ hours.';
+  }else if(DateTime.fromISO(toISO).diff(DateTime.fromISO(fromISO), 'days').days >= PLANNER.maxDays){
+    el('plannerSummary').textContent = `Pick at most ${PLANNER.maxDays} days.`;
+  }else{
+    plannerWindows = findMeetingWindows({ fromISO, toISO, east, west, minMinutes });
+
+    const changes = [state.tamaraTZ, state.martinTZ]
+      .filter((zone, i, arr) => arr.indexOf(zone) === i)
+      .flatMap(zone => offsetChanges(zone, fromISO, toISO).map(d => `${zoneShortName(zone)} ${fmtGreg(d)}`));
+
+    el('plannerSummary').textContent = [
+      plannerWindows.length ? `${plannerWindows.length} window(s).` : 'No shared window in this range.',
+      changes.length ? `Clocks change: ${changes.join(', ')}.` : ''
+    ].filter(Boolean).join(' ');
+  }
+
+  renderPlannerResults();
+}
+
+function renderPlannerResults(){
+  const host = el('plannerResults');
+  host.innerHTML = '';
+
+  const saved = new Set(loadLocalOneOffs().map(d => d.id));
+
+  plannerWindows.slice(0, PLANNER.maxWindows).forEach((w, i)=>{
+    const div = document.createElement('div');
+    div.className = 'eventitem planner-window';
+
+    const t = document.createElement('div');
+    t.className = 'title';
+    t.textContent = `${durationToHHMM(w.endMs - w.startMs)} free`;
+    div.appendChild(t);
+
+    const zones = state.tamaraTZ === state.martinTZ ? [state.tamaraTZ] : [state.tamaraTZ, state.martinTZ];
+    for(const zone of zones){
+      const n = document.createElement('div');
+      n.className = 'note';
+      n.textContent = plannerWindowLine(zone, w);
+      div.appendChild(n);
+    }
+
+    const sd = document.createElement('div');
+    sd.className = 'note';
+    sd.textContent = w.superDays
+      .map(s => `SuperDay ${fmtGreg(s.dateISO)} +${durationToHHMM(s.elapsedMs)}`)
+      .join(' • ');
+    div.appendChild(sd);
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn';
+    btn.dataset.plannerSave = String(i);
+    btn.disabled = saved.has(plannerOneOffId(w));
+    btn.textContent = btn.disabled ? 'Saved' : 'Save as one-off';
+    div.appendChild(btn);
+
+    host.appendChild(div);
+  });
+
+  if(plannerWindows.length > PLANNER.maxWindows){
+    const more = document.createElement('div');
+    more.className = 'muted small';
+    more.textContent = `First ${PLANNER.maxWindows} shown; narrow the range for the rest.`;
+    host.appendChild(more);
+  }
+}
+
+function savePlannerWindow(i){
+  const w = plannerWindows[i];
+  if(!w) return;
+
+  const title = el('plannerTitle').value.trim() || 'Call';
+  const local = loadLocalOneOffs();
+  const id = plannerOneOffId(w);
+  if(local.some(d => d.id === id)) return;
+
+  local.push({
+    id,
+    source: 'planner',
+    title,
+    notes: [
+      plannerWindowLine(state.tamaraTZ, w),
+      state.martinTZ !== state.tamaraTZ ? plannerWindowLine(state.martinTZ, w) : ''
+    ].filter(Boolean).join('\n'),
+    anchorType: 'GY_ONEOFF',
+    category: 'OneOFF_Planned',
+    rank: 3,
+    sequence: 9999,
+
+    allDay: false,
+
+    showOnCalendar: true,
+    showInInspector: true,
+    showNotesOnCalendar: false,
+
+    startUtcMs: w.startMs,
+    endUtcMs: w.endMs,
+    durationMinutes: Math.round((w.endMs - w.startMs) / 60000),
+    originTZ: state.tamaraTZ,
+    endTZ: state.tamaraTZ
+  });
+
+  if(!saveLocalOneOffs(local)){
+    el('plannerSummary').textContent = 'Could not save (browser storage is full or blocked).';
+    return;
+  }
+
+  refreshOneOffDefs();
+  syncPlannerControls();
+  renderPlannerResults();
+  renderCountdowns();
+  if(state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+  else render();
+}
+
+function clearPlannedOneOffs(){
+  const local = loadLocalOneOffs();
+  const keep = local.filter(d => d.source !== 'planner');
+  const removed = local.length - keep.length;
+  if(!removed) return;
+  if(!confirm(`Remove ${removed} planned event(s)?`)) return;
+
+  saveLocalOneOffs(keep);
+  refreshOneOffDefs();
+  syncPlannerControls();
+  renderPlannerResults();
+  el('plannerSummary').textContent = `${removed} planned event(s) removed.`;
+
+  renderCountdowns();
+  if(state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+  else render();
+}
+
+function bindPlanner(){
+  el('btnPlanner').addEventListener('click', ()=>{
+    const dd = el('plannerDropdown');
+    dd.hidden = !dd.hidden;
+    el('btnPlanner').setAttribute('aria-expanded', String(!dd.hidden));
+    if(!dd.hidden) syncPlannerControls();
+  });
+
+  document.addEventListener('click', (e)=>{
+    const dd = el('plannerDropdown');
+    const btn = el('btnPlanner');
+    if(dd.hidden) return;
+    if(dd.contains(e.target) || btn.contains(e.target)) return;
+    dd.hidden = true;
+    btn.setAttribute('aria-expanded', 'false');
+  });
+
+  el('btnPlannerFind').addEventListener('click', ()=> runMeetingPlanner());
+  el('btnClearPlanned').addEventListener('click', ()=> clearPlannedOneOffs());
+  el('plannerResults').addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-planner-save]');
+    if(btn) savePlannerWindow(Number(btn.dataset.plannerSave));
+  });
+}
+
+// ---------- iCalendar export ----------
+const ICS = {
+  prodId: '-//ABHLSD//An Feilire de Seo//EN',
+  calName: 'An Féilire de Seo',
+  uidDomain: 'abhlsd.net',
+};
+
+function icsEscape(text){
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 3.1: fold lines longer than 75 octets without splitting a UTF-8 character.
+function icsFold(line){
+  const enc = new TextEncoder();
+  if(enc.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let cur = '';
+  let curBytes = 0;
+
+  for(const ch of line){
+    const b = enc.encode(ch).length;
+    const limit = parts.length ? 74 : 75;
+    if(curBytes + b > limit){
+      parts.push(cur);
+      cur = '';
+      curBytes = 0;
+    }
+    cur += ch;
+    curBytes += b;
+  }
+  parts.push(cur);
+
+  return parts.join('\r\n ');
+}
+
+function icsDate(dateISO){ return dateISO.replace(/-/g, ''); }
+function icsLocalDateTime(dt){ return dt.toFormat("yyyyLLdd'T'HHmmss"); }
+function icsUtcDateTime(dt){ return dt.toUTC().toFormat("yyyyLLdd'T'HHmmss'Z'"); }
+
+function icsOffset(minutes){
+  const sign = minutes < 0 ? '-' : '+';
+  const m = Math.abs(minutes);
+  return `${sign}${pad2(Math.floor(m / 60))}${pad2(m % 60)}`;
+}
+
+// VTIMEZONE with one STANDARD/DAYLIGHT block per transition inside the window.
+function icsVTimezone(zone, fromMs, toMs){
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+  const offsetAt = (ms)=> DateTime.fromMillis(ms, {zone}).offset;
+  const nameAt = (ms)=> DateTime.fromMillis(ms, {zone}).toFormat('ZZZZ');
+
+  const transitions = [];
+  const stepMs = 86400000;
+  let prevMs = fromMs;
+  let prevOff = offsetAt(prevMs);
+
+  for(let ms = fromMs + stepMs; ms <= toMs + stepMs; ms += stepMs){
+    const off = offsetAt(ms);
+    if(off !== prevOff){
+      // Transitions fall on whole minutes; search in minute steps.
+      let lo = Math.floor(prevMs / 60000);
+      let hi = Math.ceil(ms / 60000);
+      while(hi - lo > 1){
+        const mid = Math.floor((lo + hi) / 2);
+        if(offsetAt(mid * 60000) === prevOff) lo = mid; else hi = mid;
+      }
+      transitions.push({ atMs: hi * 60000, from: prevOff, to: off });
+      prevOff = off;
+    }
+    prevMs = ms;
+  }
+
+  const block = (kind, atMs, from, to)=> {
+    const localStart = DateTime.fromMillis(atMs, {zone:'utc'}).plus({minutes: from});
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${icsLocalDateTime(localStart)}`,
+      `TZOFFSETFROM:${icsOffset(from)}`,
+      `TZOFFSETTO:${icsOffset(to)}`,
+      `TZNAME:${nameAt(atMs)}`,
+      `END:${kind}`
+    ];
+  };
+
+  const kindOf = (t)=> (t.to > t.from) ? 'DAYLIGHT' : 'STANDARD';
+
+  if(!transitions.length){
+    const off = offsetAt(fromMs);
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${icsOffset(off)}`,
+      `TZOFFSETTO:${icsOffset(off)}`,
+      `TZNAME:${nameAt(fromMs)}`,
+      'END:STANDARD'
+    );
+  }else{
+    // Anchor the offset in force before the first transition.
+    const first = transitions[0];
+    const anchorMs = DateTime.fromMillis(fromMs, {zone:'utc'}).startOf('day').toMillis();
+    lines.push(...block(kindOf(first) === 'DAYLIGHT' ? 'STANDARD' : 'DAYLIGHT', anchorMs, first.from, first.from));
+    for(const t of transitions) lines.push(...block(kindOf(t), t.atMs, t.from, t.to));
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function icsUid(key){
+  return `${String(key).replace(/[^A-Za-z0-9_.-]+/g, '-')}@${ICS.uidDomain}`;
+}
+
+function icsCategoryForKind(kind){
+  if(kind === 'supermonth') return 'SuperMonth';
+  if(kind === 'special') return 'Special Day';
+  if(kind === 'standard') return 'Standard Day';
+  if(kind === 'oneoff') return 'One-Off';
+  return 'Other';
+}
+
+// One-off occurrence year in its own zone, so UIDs don't move with displayTZ.
+function oneOffOccurrenceKey(def){
+  const originDT = DateTime.fromMillis(def.startUtcMs, {zone:'utc'}).setZone(def.originTZ || 'UTC');
+  return `${def.id}_${originDT.toFormat('yyyy')}`;
+}
+
+function icsOneOffVEvent(def, dtstamp){
+  const originTZ = def.originTZ || 'UTC';
+  const endTZ = def.endTZ || originTZ;
+  const start = DateTime.fromMillis(def.startUtcMs, {zone:'utc'}).setZone(originTZ);
+  const end = DateTime.fromMillis(def.endUtcMs, {zone:'utc'}).setZone(endTZ);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${icsUid(oneOffOccurrenceKey(def))}`,
+    `DTSTAMP:${dtstamp}`
+  ];
+
+  if(def.allDay){
+    const lastDay = end.minus({milliseconds:1}).toISODate();
+    const endExclusive = DateTime.fromISO(lastDay, {zone:'UTC'}).plus({days:1}).toISODate();
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(start.toISODate())}`);
+    lines.push(`DTEND;VALUE=DATE:${icsDate(endExclusive)}`);
+  }else{
+    lines.push(`DTSTART;TZID=${originTZ}:${icsLocalDateTime(start)}`);
+    lines.push(`DTEND;TZID=${endTZ}:${icsLocalDateTime(end)}`);
+  }
+
+  lines.push(`SUMMARY:${icsEscape(def.title)}`);
+  if(def.notes) lines.push(`DESCRIPTION:${icsEscape(def.notes)}`);
+  lines.push(`CATEGORIES:${icsEscape(def.category || icsCategoryForKind('oneoff'))}`);
+  lines.push('TRANSP:TRANSPARENT');
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function icsAllDayVEvent(ev, dtstamp){
+  const endExclusive = DateTime.fromISO(ev.end, {zone:'UTC'}).plus({days:1}).toISODate();
+  const key = (ev.kind === 'supermonth')
+    ? `SuperMonth_${fmtSeoianYear(ev.seoianYear)}_${pad2(ev.monthNo)}`
+    : ev.id;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${icsUid(key)}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(ev.start)}`,
+    `DTEND;VALUE=DATE:${icsDate(endExclusive)}`,
+    `SUMMARY:${icsEscape(ev.label)}`
+  ];
+
+  const seo = canonicalSeoianDate(ev.start);
+  const desc = [ev.notes, seo.canonical ? `Seoian ${seoianLabelWithOverlaps(ev.start)}` : ''].filter(Boolean).join('\n');
+  if(desc) lines.push(`DESCRIPTION:${icsEscape(desc)}`);
+
+  lines.push(`CATEGORIES:${icsCategoryForKind(ev.kind)}`);
+  lines.push('TRANSP:TRANSPARENT');
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Honors state.filters: SuperMonths, Special/Standard days and one-offs.
+function buildICalendar(rangeStartISO, rangeEndISO){
+  const dtstamp = icsUtcDateTime(DateTime.now());
+
+  const allDay = collectAllDayEventOccurrencesForRange(rangeStartISO, rangeEndISO)
+    .filter(ev => ev.kind !== 'oneoff');
+
+  const oneOffs = new Map();
+  for(const [, arr] of groupOneOffsByDay(rangeStartISO, rangeEndISO, 'list').entries()){
+    for(const ev of arr){
+      if(!oneOffs.has(ev.id)) oneOffs.set(ev.id, ev);
+    }
+  }
+
+  const zones = new Set();
+  let minMs = Infinity;
+  let maxMs = -Infinity;
+  for(const def of oneOffs.values()){
+    if(def.allDay) continue;
+    zones.add(def.originTZ || 'UTC');
+    zones.add(def.endTZ || def.originTZ || 'UTC');
+    minMs = Math.min(minMs, def.startUtcMs);
+    maxMs = Math.max(maxMs, def.endUtcMs);
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS.prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(ICS.calName)}`
+  ];
+
+  for(const zone of zones){
+    lines.push(...icsVTimezone(zone, minMs - 400 * 86400000, maxMs + 400 * 86400000));
+  }
+
+  for(const ev of allDay) lines.push(...icsAllDayVEvent(ev, dtstamp));
+  for(const def of oneOffs.values()) lines.push(...icsOneOffVEvent(def, dtstamp));
+
+  lines.push('END:VCALENDAR');
+
+  return {
+    text: lines.map(icsFold).join('\r\n') + '\r\n',
+    count: allDay.length + oneOffs.size
+  };
+}
+
+function exportRangeForPreset(preset){
+  const focusISO = state.focusDateISO;
+
+  if(preset === 'superMonth'){
+    const seo = canonicalSeoianDate(focusISO);
+    if(seo.canonical) return { startISO: seo.canonical.start, endISO: seo.canonical.end, name: `${seo.canonical.monthName}_${fmtSeoianYear(seo.year)}` };
+  }
+
+  if(preset === 'week'){
+    const start = startOfWeekSunday(DateTime.fromISO(focusISO, {zone:'UTC'})).toISODate();
+    return { startISO: start, endISO: isoPlusDays(start, 6), name: `Week_${start}` };
+  }
+
+  if(preset === 'seoianYear'){
+    const sy = seoianYearForGregorian(focusISO);
+    return { ...seoianYearBounds(sy), name: `Seoian_${fmtSeoianYear(sy)}` };
+  }
+
+  return null;
+}
+
+function downloadTextFile(filename, text, mime){
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=> URL.revokeObjectURL(url), 1000);
+}
+
+function syncExportControls(){
+  const preset = el('exportRange').value;
+  const custom = preset === 'custom';
+  el('exportCustom').hidden = !custom;
+
+  const r = custom ? null : exportRangeForPreset(preset);
+  if(r){
+    el('exportFrom').value = r.startISO;
+    el('exportTo').value = r.endISO;
+  }
+
+  const from = el('exportFrom').value;
+  const to = el('exportTo').value;
+  el('exportSummary').textContent = (from && to) ? `${fmtGreg(from)} → ${fmtGreg(to)}` : 'Pick a date range.';
+}
+
+function runICalendarExport(){
+  const preset = el('exportRange').value;
+  const r = (preset === 'custom') ? null : exportRangeForPreset(preset);
+
+  const startISO = r ? r.startISO : el('exportFrom').value;
+  const endISO = r ? r.endISO : el('exportTo').value;
+
+  if(!startISO || !endISO) return alert('Pick a start and end date.');
+  if(endISO < startISO) return alert('End date is before start date.');
+
+  const { text, count } = buildICalendar(startISO, endISO);
+  const name = r ? r.name : `${startISO}_${endISO}`;
+  downloadTextFile(`AFdS_${name}.ics`, text, 'text/calendar;charset=utf-8');
+  el('exportSummary').textContent = `${count} events exported.`;
+}
+
+// ---------- iCalendar import ----------
+// Windows zone names seen in Outlook exports, mapped for the zones we use.
+const ICS_WINDOWS_ZONES = {
+  'Eastern Standard Time': 'America/Toronto',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'GMT Standard Time': 'Europe/London',
+  'UTC': 'UTC',
+};
+
+function icsUnescape(text){
+  return String(text ?? '').replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N') ? '\n' : c);
+}
+
+function icsParseLine(line){
+  let i = 0;
+  let inQuotes = false;
+  for(; i<line.length; i++){
+    const ch = line[i];
+    if(ch === '"') inQuotes = !inQuotes;
+    if(!inQuotes && ch === ':') break;
+  }
+
+  const head = line.slice(0, i);
+  const value = line.slice(i + 1);
+  const [name, ...paramParts] = head.split(';');
+  const params = {};
+
+  for(const p of paramParts){
+    const eq = p.indexOf('=');
+    if(eq < 0) continue;
+    params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value };
+}
+
+// Returns the VEVENTs as { PROP: {params, value} } maps (first value wins).
+function parseICalendarEvents(text){
+  const unfolded = String(text ?? '').replace(/\r\n[ \t]|\n[ \t]/g, '');
+  const events = [];
+  let cur = null;
+  let depth = 0;
+
+  for(const raw of unfolded.split(/\r?\n/)){
+    const line = raw.trimEnd();
+    if(!line) continue;
+
+    const prop = icsParseLine(line);
+
+    if(prop.name === 'BEGIN'){
+      if(prop.value.toUpperCase() === 'VEVENT' && !cur){ cur = {}; depth = 0; continue; }
+      if(cur) depth++;
+      continue;
+    }
+
+    if(prop.name === 'END'){
+      if(cur && prop.value.toUpperCase() === 'VEVENT' && depth === 0){ events.push(cur); cur = null; continue; }
+      if(cur) depth--;
+      continue;
+    }
+
+    // Skip nested VALARM etc.
+    if(cur && depth === 0 && !cur[prop.name]) cur[prop.name] = prop;
+  }
+
+  return events;
+}
+
+function icsZoneFor(tzid){
+  const z = String(tzid || '').trim();
+  if(!z) return null;
+  if(ICS_WINDOWS_ZONES[z]) return ICS_WINDOWS_ZONES[z];
+  if(DateTime.local().setZone(z).isValid) return z;
+  return null;
+}
+
+// { dt, zone, allDay } or null. Floating times and unknown TZIDs use fallbackZone.
+function icsParseDateProp(prop, fallbackZone){
+  if(!prop) return null;
+  const v = String(prop.value || '').trim();
 
-  const second = document.createElementNS(ns,'line');
-  second.setAttribute('x1','100');
-  second.setAttribute('y1','108');
-  second.setAttribute('x2','100');
-  second.setAttribute('y2','24');
-  second.setAttribute('stroke','#1b6b6f');
-  second.setAttribute('stroke-width','2');
-  second.setAttribute('stroke-linecap','round');
-  second.id = 's';
-  svg.appendChild(second);
+  if(prop.params.VALUE === 'DATE' || /^\d{8}$/.test(v)){
+    const dt = DateTime.fromFormat(v, 'yyyyLLdd', {zone: fallbackZone});
+    return dt.isValid ? { dt, zone: fallbackZone, allDay: true } : null;
+  }
 
-  const dot = document.createElementNS(ns,'circle');
-  dot.setAttribute('cx','100');
-  dot.setAttribute('cy','100');
-  dot.setAttribute('r','5');
-  dot.setAttribute('fill','#1b6b6f');
-  svg.appendChild(dot);
+  if(/Z$/.test(v)){
+    const dt = DateTime.fromFormat(v, "yyyyLLdd'T'HHmmss'Z'", {zone:'utc'});
+    return dt.isValid ? { dt, zone: 'UTC', allDay: false } : null;
+  }
 
-  return svg;
+  const zone = icsZoneFor(prop.params.TZID) || fallbackZone;
+  const dt = DateTime.fromFormat(v, "yyyyLLdd'T'HHmmss", {zone});
+  return dt.isValid ? { dt, zone, allDay: false, unknownZone: !!prop.params.TZID && !icsZoneFor(prop.params.TZID) } : null;
 }
 
-function rotate(elm, deg){
-  elm.setAttribute('transform', `rotate(${deg} 100 100)`);
+function icsParseDuration(v){
+  const m = String(v || '').trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if(!m) return null;
+  const sign = m[1] === '-' ? -1 : 1;
+  const [w, d, h, mi, s] = m.slice(2).map(x => Number(x || 0));
+  return sign * ((((w * 7 + d) * 24 + h) * 60 + mi) * 60 + s) * 1000;
 }
 
-function mountClocks(){
-  const hostT = el('clockTamara');
-  hostT.innerHTML = '';
-  hostT.appendChild(makeClockSVG('normal'));
+// UIDs our own export would give the one-offs already loaded (see icsOneOffVEvent).
+function exportedOneOffUids(){
+  return new Set((state.data.oneOffDefs || []).map(def => icsUid(oneOffOccurrenceKey(def))));
+}
 
-  const hostM = el('clockMartin');
-  hostM.innerHTML = '';
-  hostM.appendChild(makeClockSVG('normal'));
+// SuperMonths and day defs come from the rules, so re-importing an AFdS export must not copy them.
+const ICS_RULE_CATEGORIES = new Set(['supermonth', 'special', 'standard'].map(icsCategoryForKind));
 
-  const hostS = el('clockSuperday');
-  hostS.innerHTML = '';
-  hostS.appendChild(makeClockSVG('superday'));
+function isAfdsDuplicate(vevent, exportedUids){
+  const uid = String(vevent.UID?.value || '').trim();
+  if(!uid.endsWith(`@${ICS.uidDomain}`)) return false;
+  if(exportedUids.has(uid)) return true;
+  return ICS_RULE_CATEGORIES.has(icsUnescape(vevent.CATEGORIES?.value || '').trim());
 }
 
-function tickClocks(){
-  ensureEastWestOrder();
-  const now = DateTime.now();
+function oneOffDefFromVEvent(vevent, fallbackZone){
+  const uid = String(vevent.UID?.value || '').trim();
+  const title = icsUnescape(vevent.SUMMARY?.value || '').trim();
+  if(!uid) return { error: 'missing UID' };
+  if(!title) return { error: 'missing SUMMARY' };
 
-  const tNow = now.setZone(state.tamaraTZ);
-  const mNow = now.setZone(state.martinTZ);
+  const start = icsParseDateProp(vevent.DTSTART, fallbackZone);
+  if(!start) return { error: 'unparseable DTSTART' };
 
-  updateAnalog('clockTamara', tNow);
-  updateAnalog('clockMartin', mNow);
+  let end = icsParseDateProp(vevent.DTEND, start.zone);
+  let endUtcMs;
 
-  const ae = el('ampmEast');
-  const aw = el('ampmWest');
-  if(ae) ae.textContent = tNow.toFormat('a');
-  if(aw) aw.textContent = mNow.toFormat('a');
+  if(end){
+    endUtcMs = end.dt.toUTC().toMillis();
+  }else if(vevent.DURATION){
+    const ms = icsParseDuration(vevent.DURATION.value);
+    if(ms === null) return { error: 'unparseable DURATION' };
+    endUtcMs = start.dt.toUTC().toMillis() + ms;
+  }else{
+    endUtcMs = start.allDay
+      ? start.dt.plus({days:1}).toUTC().toMillis()
+      : start.dt.plus({minutes:30}).toUTC().toMillis();
+  }
 
-  const todayISO = now.setZone(state.displayTZ).toISODate();
-  const bounds = superDayBounds(todayISO, state.tamaraTZ, state.martinTZ);
-  const startUTC = bounds.start.toUTC();
-  const endUTC = bounds.end.toUTC();
-  const durMs = endUTC.toMillis() - startUTC.toMillis();
-  const elapsedMs = clamp(now.toUTC().toMillis() - startUTC.toMillis(), 0, durMs);
+  const startUtcMs = start.dt.toUTC().toMillis();
+  if(endUtcMs <= startUtcMs) return { error: 'end before start' };
 
-  el('sdTotal').textContent = durationToHHMMCeilHalfHour(durMs);
-  el('sdElapsed').textContent = durationToHHMM(elapsedMs);
+  const notes = [
+    icsUnescape(vevent.DESCRIPTION?.value || '').trim(),
+    vevent.LOCATION ? `Location: ${icsUnescape(vevent.LOCATION.value).trim()}` : ''
+  ].filter(Boolean).join('\n');
 
-  const nHours = Math.max(0.5, ceilToHalfHourHours(durMs / 3600000));
-  const q1 = roundHalfUp(nHours / 4);
-  const q2 = roundHalfUp(nHours / 2);
-  const q3 = roundHalfUp(3 * nHours / 4);
+  return {
+    def: {
+      id: `ICS_${uid}`,
+      uid,
+      source: 'ics',
+      title,
+      notes,
+      anchorType: 'GY_ONEOFF',
+      category: 'OneOFF_Imported',
+      rank: 3,
+      sequence: 9999,
 
-  const svgS = el('clockSuperday').querySelector('svg');
-  if(svgS){
-    const t12 = svgS.querySelector('#n12');
-    const t3 = svgS.querySelector('#n3');
-    const t6 = svgS.querySelector('#n6');
-    const t9 = svgS.querySelector('#n9');
-    if(t12) t12.textContent = '0';
-    if(t3) t3.textContent = String(q1);
-    if(t6) t6.textContent = String(q2);
-    if(t9) t9.textContent = String(q3);
+      allDay: start.allDay,
+
+      showOnCalendar: true,
+      showInInspector: true,
+      showNotesOnCalendar: false,
+
+      startUtcMs,
+      endUtcMs,
+      durationMinutes: Math.round((endUtcMs - startUtcMs) / 60000),
+      originTZ: start.zone,
+      endTZ: end ? end.zone : start.zone
+    },
+    recurring: !!vevent.RRULE,
+    unknownZone: !!(start.unknownZone || end?.unknownZone)
+  };
+}
+
+function importICalendarText(text){
+  const vevents = parseICalendarEvents(text);
+  const exportedUids = exportedOneOffUids();
+  const local = loadLocalOneOffs();
+  const byUid = new Map(local.map((d, i) => [d.uid, i]).filter(([uid]) => uid));
+
+  const report = { added: 0, updated: 0, skippedAfds: 0, recurring: 0, unknownZones: 0, errors: [], saved: true };
+
+  for(const ve of vevents){
+    const uid = String(ve.UID?.value || '').trim();
+
+    if(isAfdsDuplicate(ve, exportedUids)){
+      report.skippedAfds++;
+      continue;
+    }
+
+    const res = oneOffDefFromVEvent(ve, state.displayTZ);
+    if(res.error){
+      report.errors.push(`${uid || '(no UID)'}: ${res.error}`);
+      continue;
+    }
+
+    if(res.recurring) report.recurring++;
+    if(res.unknownZone) report.unknownZones++;
+
+    if(byUid.has(uid)){
+      local[byUid.get(uid)] = res.def;
+      report.updated++;
+    }else{
+      byUid.set(uid, local.length);
+      local.push(res.def);
+      report.added++;
+    }
   }
 
-  const frac = (durMs === 0) ? 0 : (elapsedMs / durMs);
-  const hourAngle = frac * 360;
+  report.saved = saveLocalOneOffs(local);
+  refreshOneOffDefs();
+  return report;
+}
 
-  const totalSec = Math.floor(elapsedMs / 1000);
-  const sec = totalSec % 60;
-  const totalMin = Math.floor(totalSec / 60);
-  const min = totalMin % 60;
+function describeImportReport(report){
+  const parts = [`${report.added} added`, `${report.updated} updated`];
+  if(report.skippedAfds) parts.push(`${report.skippedAfds} already in AFdS`);
+  if(report.recurring) parts.push(`${report.recurring} recurring (first occurrence only)`);
+  if(report.unknownZones) parts.push(`${report.unknownZones} unknown TZID (used ${state.displayTZ})`);
+  if(report.errors.length){
+    // The first few reasons inline; hovering the summary lists them all.
+    const shown = report.errors.slice(0, 3).join('; ');
+    parts.push(`${report.errors.length} skipped (${shown}${report.errors.length > 3 ? '; …' : ''})`);
+  }
+  const text = parts.join(', ') + '.';
+  return report.saved ? text : `${text} Could not save (browser storage is full or blocked).`;
+}
 
-  const minAngle = (min + sec / 60) * 6;
-  const secAngle = sec * 6;
+async function importICalendarFiles(files){
+  const list = Array.from(files || []).filter(f => /\.ics$/i.test(f.name) || f.type === 'text/calendar');
+  if(!list.length) return;
+
+  const total = { added: 0, updated: 0, skippedAfds: 0, recurring: 0, unknownZones: 0, errors: [], saved: true };
+
+  for(const file of list){
+    const r = importICalendarText(await file.text());
+    total.added += r.added;
+    total.updated += r.updated;
+    total.skippedAfds += r.skippedAfds;
+    total.recurring += r.recurring;
+    total.unknownZones += r.unknownZones;
+    total.errors.push(...r.errors);
+    total.saved = total.saved && r.saved;
+  }
 
-  const svg = el('clockSuperday').querySelector('svg');
-  if(svg){
-    rotate(svg.querySelector('#h'), hourAngle);
-    rotate(svg.querySelector('#m'), minAngle);
-    rotate(svg.querySelector('#s'), secAngle);
+  syncImportControls();
+  el('importSummary').textContent = describeImportReport(total);
+  el('importSummary').title = total.errors.join('\n');
+
+  renderCountdowns();
+  if(state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+  else render();
+}
+
+// A file that cannot be read (or a parser bug) stops the whole import.
+function showImportFailure(e){
+  el('importSummary').textContent = `Import failed: ${e?.message || e}`;
+  el('importSummary').title = '';
+}
+
+function syncImportControls(){
+  const n = loadLocalOneOffs().filter(d => d.source === 'ics').length;
+  el('btnClearImported').disabled = !n;
+  el('importSummary').title = '';
+  el('importSummary').textContent = n
+    ? `${n} imported event(s) stored in this browser.`
+    : 'Choose or drop .ics files onto the calendar.';
+}
+
+function clearImportedOneOffs(){
+  const local = loadLocalOneOffs();
+  const keep = local.filter(d => d.source !== 'ics');
+  const removed = local.length - keep.length;
+  if(!removed) return;
+  if(!confirm(`Remove ${removed} imported event(s)?`)) return;
+
+  saveLocalOneOffs(keep);
+  refreshOneOffDefs();
+  syncImportControls();
+  el('importSummary').textContent = `${removed} imported event(s) removed.`;
+
+  renderCountdowns();
+  if(state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+  else render();
+}
+
+function bindICalendarDrop(){
+  const surf = el('calSurface');
+  let depth = 0;
+
+  const hasFiles = (e)=> Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  surf.addEventListener('dragenter', (e)=>{
+    if(!hasFiles(e)) return;
+    e.preventDefault();
+    depth++;
+    surf.classList.add('dropping');
+  });
+
+  surf.addEventListener('dragover', (e)=>{
+    if(!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+
+  surf.addEventListener('dragleave', ()=>{
+    depth = Math.max(0, depth - 1);
+    if(!depth) surf.classList.remove('dropping');
+  });
+
+  surf.addEventListener('drop', (e)=>{
+    if(!hasFiles(e)) return;
+    e.preventDefault();
+    depth = 0;
+    surf.classList.remove('dropping');
+    importICalendarFiles(e.dataTransfer.files).catch(showImportFailure);
+  });
+}
+
+// ---------- URL state ----------
+// ?view=week&date=2026-10-19&day=2026-10-21&tz=America/Toronto&hide=standard,oneoff
+// view, hide and the clock pair are left out while they have their defaults.
+const URL_VIEWS = ['month', 'week', 'list', 'year'];
+const URL_FILTERS = {
+  superMonths: 'supermonths',
+  specialDays: 'special',
+  standardDays: 'standard',
+  oneOff: 'oneoff',
+  sky: 'sky',
+  ingress: 'ingress',
+};
+
+let urlSyncEnabled = false;
+let urlNavKey = null;
+
+function isValidZone(zone){
+  return !!zone && DateTime.local().setZone(zone).isValid;
+}
+
+function isValidDateParam(s){
+  return /^-?\d{4,6}-\d{2}-\d{2}$/.test(s || '') && DateTime.fromISO(s, {zone:'UTC'}).isValid;
+}
+
+function urlParamsFromState(){
+  const p = new URLSearchParams();
+  if(state.view !== 'month') p.set('view', state.view);
+  p.set('date', state.focusDateISO);
+  if(state.snapshot?.dateISO) p.set('day', state.snapshot.dateISO);
+  p.set('tz', state.displayTZ);
+
+  const hidden = Object.keys(URL_FILTERS).filter(k => !state.filters[k]).map(k => URL_FILTERS[k]);
+  if(hidden.length) p.set('hide', hidden.join(','));
+
+  // ensureEastWestOrder() may swap the pair, so compare it as a set.
+  const pair = [state.tamaraTZ, state.martinTZ];
+  if(!pair.includes(DEFAULTS.tamaraTZ) || !pair.includes(DEFAULTS.martinTZ)){
+    p.set('tamara', state.tamaraTZ);
+    p.set('martin', state.martinTZ);
   }
+
+  return p;
 }
 
-function updateAnalog(hostId, dt){
-  const svg = el(hostId).querySelector('svg');
-  if(!svg) return;
+function queryFromParams(p){
+  const s = p.toString().replace(/%2F/gi, '/').replace(/%2C/gi, ',');
+  return s ? `?${s}` : '';
+}
 
-  const h = svg.querySelector('#h');
-  const m = svg.querySelector('#m');
-  const s = svg.querySelector('#s');
+// Everything but the inspected day: hovering only replaces the history entry.
+function urlNavKeyFor(p){
+  const q = new URLSearchParams(p);
+  q.delete('day');
+  return q.toString();
+}
 
-  const hour = dt.hour % 12;
-  const minute = dt.minute;
-  const second = dt.second;
+// Applies ?params onto state. Returns the inspected day (or null).
+function applyUrlState(search){
+  const p = new URLSearchParams(search);
 
-  rotate(h, (hour + minute / 60) * 30);
-  rotate(m, (minute + second / 60) * 6);
-  rotate(s, second * 6);
+  const view = p.get('view');
+  state.view = URL_VIEWS.includes(view) ? view : 'month';
+
+  const date = p.get('date');
+  if(isValidDateParam(date)) state.focusDateISO = date;
+
+  const tz = p.get('tz');
+  if(isValidZone(tz)) state.displayTZ = tz;
+
+  const hidden = new Set((p.get('hide') || '').split(',').map(s => s.trim()).filter(Boolean));
+  for(const [k, v] of Object.entries(URL_FILTERS)){
+    state.filters[k] = !hidden.has(v);
+  }
+
+  const tamara = p.get('tamara');
+  const martin = p.get('martin');
+  state.tamaraTZ = isValidZone(tamara) ? tamara : DEFAULTS.tamaraTZ;
+  state.martinTZ = isValidZone(martin) ? martin : DEFAULTS.martinTZ;
+
+  const day = p.get('day');
+  return isValidDateParam(day) ? day : null;
 }
 
-function ensureEastWestOrder(){
-  const now = DateTime.now();
-  const a = now.setZone(state.tamaraTZ);
-  const b = now.setZone(state.martinTZ);
+function syncControlsFromState(){
+  el('viewSelect').value = state.view;
+  el('displayTZ').value = state.displayTZ;
+  el('tzTamara').value = state.tamaraTZ;
+  el('tzMartin').value = state.martinTZ;
 
-  if(a.offset === b.offset) return;
+  el('filterSupermonths').checked = state.filters.superMonths;
+  el('filterSpecialDays').checked = state.filters.specialDays;
+  el('filterStandardDays').checked = state.filters.standardDays;
+  el('filterOneOff').checked = state.filters.oneOff;
+  el('filterSky').checked = state.filters.sky;
+  el('filterIngress').checked = state.filters.ingress;
 
-  if(a.offset < b.offset){
-    const tmp = state.tamaraTZ;
-    state.tamaraTZ = state.martinTZ;
-    state.martinTZ = tmp;
+  ensureEastWestOrder();
+}
 
-    const iA = el('tzTamara');
-    const iB = el('tzMartin');
-    if(iA && iB){
-      const t = iA.value;
-      iA.value = iB.value;
-      iB.value = t;
-    }
+// Called from render(): a new entry when the view/date/tz/filters change,
+// otherwise the current entry is replaced.
+function syncUrlState(){
+  if(!urlSyncEnabled) return;
+
+  const p = urlParamsFromState();
+  const query = queryFromParams(p);
+  if(query === location.search) return;
+
+  const navKey = urlNavKeyFor(p);
+  const method = (urlNavKey === null || navKey === urlNavKey) ? 'replaceState' : 'pushState';
+  urlNavKey = navKey;
+
+  history[method](null, '', `${location.pathname}${query}${location.hash}`);
+}
+
+function restoreUrlState(){
+  const prevTZ = state.displayTZ;
+  const day = applyUrlState(location.search);
+
+  syncControlsFromState();
+  if(state.displayTZ !== prevTZ) buildLunarPhaseCache();
+
+  urlSyncEnabled = false;
+  if(day) snapshotDay(day);
+  else render();
+  urlSyncEnabled = true;
+
+  urlNavKey = urlNavKeyFor(urlParamsFromState());
+}
+
+// ---------- Preferences ----------
+// View, display TZ, filters, the clock pair and the Gregorian and player
+// toggles, saved on every change. A link opens exactly what its URL says; a bare
+// visit restores the last settings. The toggles are not in the URL, so they always are.
+const PREFS_KEY = 'afds.prefs.v1';
+
+let prefsReady = false;
+
+function restorePreferences(hasQuery){
+  const prefs = loadStored(PREFS_KEY, null);
+  if(!prefs || typeof prefs !== 'object') return;
+
+  if(typeof prefs.gregorian === 'boolean') el('toggleGregorian').checked = prefs.gregorian;
+  if(typeof prefs.spotifyEmbed === 'boolean') el('toggleSpotifyEmbed').checked = prefs.spotifyEmbed;
+  if(hasQuery) return;
+
+  if(URL_VIEWS.includes(prefs.view)) state.view = prefs.view;
+  if(isValidZone(prefs.displayTZ)) state.displayTZ = prefs.displayTZ;
+  if(isValidZone(prefs.tamaraTZ)) state.tamaraTZ = prefs.tamaraTZ;
+  if(isValidZone(prefs.martinTZ)) state.martinTZ = prefs.martinTZ;
+
+  for(const k of Object.keys(URL_FILTERS)){
+    if(typeof prefs.filters?.[k] === 'boolean') state.filters[k] = prefs.filters[k];
   }
 }
 
+function savePreferences(){
+  if(!prefsReady) return;
+  saveStored(PREFS_KEY, {
+    view: state.view,
+    displayTZ: state.displayTZ,
+    tamaraTZ: state.tamaraTZ,
+    martinTZ: state.martinTZ,
+    filters: { ...state.filters },
+    gregorian: el('toggleGregorian').checked,
+    spotifyEmbed: el('toggleSpotifyEmbed').checked
+  });
+}
+
 // ---------- Controls ----------
+// Year view steps to the same SuperMonth (or Bairille) of the neighbouring Seoian year.
+function stepSeoianYear(delta){
+  const seo = canonicalSeoianDate(state.focusDateISO);
+  const r = getRangeForMonth(seo.year + delta, seo.monthNo || 1);
+
+  state.focusDateISO = r
+    ? r.start
+    : DateTime.fromISO(state.focusDateISO, {zone:state.displayTZ}).plus({years:delta}).toISODate();
+  render();
+}
+
 function bindControls(){
   el('viewSelect').addEventListener('change', (e)=>{
     state.view = e.target.value;
@@ -2546,6 +6733,8 @@ function bindControls(){
   });
 
   el('btnPrev').addEventListener('click', ()=>{
+    if(state.view === 'year') return stepSeoianYear(-1);
+
     if(state.view === 'month'){
       const seo = canonicalSeoianDate(state.focusDateISO);
       if(seo.canonical){
@@ -2564,6 +6753,8 @@ function bindControls(){
   });
 
   el('btnNext').addEventListener('click', ()=>{
+    if(state.view === 'year') return stepSeoianYear(1);
+
     if(state.view === 'month'){
       const seo = canonicalSeoianDate(state.focusDateISO);
       if(seo.canonical){
@@ -2607,15 +6798,50 @@ function bindControls(){
     dd.hidden = true;
   });
 
+  el('btnExport').addEventListener('click', ()=>{
+    const dd = el('exportDropdown');
+    dd.hidden = !dd.hidden;
+    el('btnExport').setAttribute('aria-expanded', String(!dd.hidden));
+    if(!dd.hidden){
+      syncExportControls();
+      syncImportControls();
+    }
+  });
+
+  document.addEventListener('click', (e)=>{
+    const dd = el('exportDropdown');
+    const btn = el('btnExport');
+    if(dd.hidden) return;
+    if(dd.contains(e.target) || btn.contains(e.target)) return;
+    dd.hidden = true;
+    btn.setAttribute('aria-expanded', 'false');
+  });
+
+  el('exportRange').addEventListener('change', ()=> syncExportControls());
+  el('exportFrom').addEventListener('change', ()=> syncExportControls());
+  el('exportTo').addEventListener('change', ()=> syncExportControls());
+  el('btnExportIcs').addEventListener('click', ()=> runICalendarExport());
+  el('btnImportIcs').addEventListener('click', ()=> el('importFile').click());
+  el('importFile').addEventListener('change', async (e)=>{
+    await importICalendarFiles(e.target.files).catch(showImportFailure);
+    e.target.value = '';
+  });
+  el('btnClearImported').addEventListener('click', ()=> clearImportedOneOffs());
+  bindICalendarDrop();
+
   el('filterSupermonths').addEventListener('change', (e)=>{ state.filters.superMonths = e.target.checked; render(); });
   el('filterSpecialDays').addEventListener('change', (e)=>{ state.filters.specialDays = e.target.checked; render(); });
   el('filterStandardDays').addEventListener('change', (e)=>{ state.filters.standardDays = e.target.checked; render(); });
   el('filterOneOff').addEventListener('change', (e)=>{ state.filters.oneOff = e.target.checked; render(); });
+  el('filterSky').addEventListener('change', (e)=>{ state.filters.sky = e.target.checked; render(); });
+  el('filterIngress').addEventListener('change', (e)=>{ state.filters.ingress = e.target.checked; render(); });
 
   el('filterSupermonths').checked = state.filters.superMonths;
   el('filterSpecialDays').checked = state.filters.specialDays;
   el('filterStandardDays').checked = state.filters.standardDays;
   el('filterOneOff').checked = state.filters.oneOff;
+  el('filterSky').checked = state.filters.sky;
+  el('filterIngress').checked = state.filters.ingress;
 
   el('jumpInput').addEventListener('input', (e)=>{
     const mode = el('jumpMode').value;
@@ -2669,11 +6895,17 @@ function bindControls(){
   el('tzTamara').addEventListener('change', (e)=>{
     state.tamaraTZ = e.target.value || DEFAULTS.tamaraTZ;
     ensureEastWestOrder();
+    syncUrlState();
+    savePreferences();
+    renderCountdowns();
   });
 
   el('tzMartin').addEventListener('change', (e)=>{
     state.martinTZ = e.target.value || DEFAULTS.martinTZ;
     ensureEastWestOrder();
+    syncUrlState();
+    savePreferences();
+    renderCountdowns();
   });
 
   const sheet = el('bottomSheet');
@@ -2691,12 +6923,84 @@ function bindControls(){
       el(tab === 'inspector' ? 'sheetInspector' : 'sheetClocks').classList.add('active');
     });
   });
+  bindSearch();
+  bindCountdowns();
+  bindPlanner();
+  bindPlaylist();
+  bindSongReport();
+  bindSpotifyEmbed();
+  bindPrint();
+  bindSuperMonthDetail();
+  bindNotes();
+  window.addEventListener('popstate', ()=> restoreUrlState());
+}
+
+// ---------- Offline ----------
+const OFFLINE = {
+  serviceWorkerUrl: './sw.js'
+};
+
+const changedDataFiles = new Set();
+
+function showUpdateBanner(text){
+  el('updateText').textContent = text;
+  el('updateBanner').hidden = false;
+}
+
+function registerServiceWorker(){
+  if(!('serviceWorker' in navigator)) return;
+  const sw = navigator.serviceWorker;
+  const hadController = !!sw.controller;
+
+  // sw.js answers the app shell and data/* from its cache and tells us when the
+  // network copy differs.
+  sw.addEventListener('message', (e)=>{
+    if(e.data?.type === 'afds-code-changed'){
+      showUpdateBanner('A new version of the calendar is available.');
+      return;
+    }
+    if(e.data?.type !== 'afds-data-changed') return;
+    changedDataFiles.add(e.data.file);
+    const files = [...changedDataFiles];
+    showUpdateBanner(files.length === 1
+      ? `New data available (${files[0]}).`
+      : `New data available (${files.length} files).`);
+  });
+
+  // A newer sw.js took over: the cached code is newer than what is running.
+  sw.addEventListener('controllerchange', ()=>{
+    if(hadController) showUpdateBanner('A new version of the calendar is available.');
+  });
+
+  el('updateReload').addEventListener('click', ()=> location.reload());
+  el('updateDismiss').addEventListener('click', ()=>{ el('updateBanner').hidden = true; });
+
+  // Without it the calendar still works, just not offline.
+  sw.register(OFFLINE.serviceWorkerUrl).catch(()=>{});
 }
 
 // ---------- Boot ----------
+async function loadSuperMonthRanges(config){
+  try{
+    // Just the years around the focused date; rangesForSeoianYear() adds the rest.
+    const engine = createSuperMonthEngine(config, Astronomy);
+    const sy = seoianYearForGregorian(state.focusDateISO);
+    const ranges = engine.rangesForYears(sy - 1, sy + 1);
+    state.data.superMonthEngine = engine;
+    state.data.rangesSource = 'engine';
+    return ranges;
+  }catch(e){
+    // rangesSource tells the SuperMonth popup and the Day Inspector.
+  }
+
+  const rangesRes = await fetch('./data/supermonths_ranges_fallback.json');
+  state.data.superMonthEngine = null;
+  state.data.rangesSource = 'fallback';
+  return await rangesRes.json();
+}
+
 async function loadData(){
   const cfgRes = await fetch('./data/supermonths_config.json');
-  const rangesRes = await fetch('./data/supermonths_ranges_fallback.json');
   const daysRes = await fetch('./data/AFdS_Special_Days.csv');
   const silentRes = await fetch('./data/AFdS_Silent_Sounds.csv');
 
@@ -2709,8 +7013,18 @@ async function loadData(){
   let miavigRes = null;
   try{ miavigRes = await fetch('./data/AFdS_MiAViG.csv'); }catch(e){ miavigRes = null; }
 
+  let itineraryRes = null;
+  try{ itineraryRes = await fetch('./data/AFdS_TZ_Itinerary.csv'); }catch(e){ itineraryRes = null; }
+
   state.data.config = await cfgRes.json();
-  state.data.ranges = await rangesRes.json();
+  state.data.ranges = await loadSuperMonthRanges(state.data.config);
+
+  // Without it there are no ingress markers or computed MiAViG spans.
+  try{
+    state.data.constellationEngine = createConstellationEngine(Astronomy);
+  }catch(e){
+    state.data.constellationEngine = null;
+  }
 
   const idx = buildRangesIndex(state.data.ranges);
   state.data.rangesBySeoYear = idx.byYear;
@@ -2723,17 +7037,21 @@ async function loadData(){
   const silentRaw = parseCSV(silentText);
 
   const silentSounds = [];
-  for(const r of silentRaw){
+  for(const [i, r] of silentRaw.entries()){
     const url = pickField(r, ['Spotify URL', 'Spotify_URL', 'spotify_url', 'URL', 'Url', 'url']);
     const title = pickField(r, ['Song Title', 'Song_Title', 'title', 'Title']);
     const artists = pickField(r, ['Artists', 'Artist', 'artists', 'artist']);
+    const added = pickField(r, ['Added', 'added', 'Added_Date']);
 
     if(!url) continue;
 
     silentSounds.push({
       url,
       title: title || 'Spotify Track',
-      artists: artists || ''
+      artists: artists || '',
+      added: /^\d{4}-\d{2}-\d{2}$/.test(added) ? added : '',
+      row: i + 1,
+      trackId: spotifyTrackId(url)
     });
   }
 
@@ -2756,7 +7074,8 @@ async function loadData(){
     overflowSounds.push({
       url,
       title: title || 'Spotify Track',
-      artists: artists || ''
+      artists: artists || '',
+      trackId: spotifyTrackId(url)
     });
   }
 
@@ -2771,9 +7090,17 @@ async function loadData(){
 
   let oneOffRaw = [];
   if(oneOffRes && oneOffRes.ok) oneOffRaw = oneOffRaw.concat(parseCSV(await oneOffRes.text()));
-  if(miavigRes && miavigRes.ok) oneOffRaw = oneOffRaw.concat(parseCSV(await miavigRes.text()));
+  const miavigRaw = (miavigRes && miavigRes.ok) ? parseCSV(await miavigRes.text()) : [];
+  oneOffRaw = oneOffRaw.concat(miavigRaw);
+  state.data.miavigIds = new Set(miavigRaw.map(r => r.ID || r.id || r['\ufeffID'] || '').filter(Boolean));
+
+  state.data.itinerary = buildItinerary(
+    (itineraryRes && itineraryRes.ok) ? parseCSV(await itineraryRes.text()) : []
+  );
 
   const syByKey = new Map();
+  const syRuleDefs = [];
+  const lunarDefs = [];
   const gyDefs = [];
   const oneOffDefs = [];
 
@@ -2783,7 +7110,7 @@ async function loadData(){
     if(!id || !title) continue;
 
     const anchorType = (r.Anchor_Type || r.anchor_type || 'SY').toUpperCase();
-    const category = (r.Category || r.category || '').trim() || (anchorType === 'SY' ? 'Special' : 'Standard');
+    const category = (r.Category || r.category || '').trim() || (isSeoianAnchor(anchorType) ? 'Special' : 'Standard');
 
     const originGregorianStr = r.Origin_Gregorian_Date || r.origin_gregorian_date || '';
     const endGregorianStr = r.End_Gregorian_Date || r.end_gregorian_date || '';
@@ -2818,6 +7145,7 @@ async function loadData(){
       nth: toInt(r.Nth ?? r.nth, null),
       weekday: toInt(r.Weekday ?? r.weekday, null),
       offsetDays: toInt(r.Offset_Days ?? r.offset_days, 0),
+      lunarQuarter: lunarQuarterKey(r.Lunar_Quarter ?? r.lunar_quarter),
 
       endMonth: endMD.month,
       endDay: endMD.day,
@@ -2828,6 +7156,10 @@ async function loadData(){
       const key = `${def.syMonth}-${def.syDay}`;
       if(!syByKey.has(key)) syByKey.set(key, []);
       syByKey.get(key).push(def);
+    }else if(SY_RULE_ANCHORS.includes(anchorType)){
+      syRuleDefs.push(def);
+    }else if(LUNAR_ANCHORS.includes(anchorType)){
+      lunarDefs.push(def);
     }else{
       gyDefs.push(def);
     }
@@ -2891,22 +7223,42 @@ async function loadData(){
     arr.sort((a,b)=> (a.rank - b.rank) || (a.sequence - b.sequence) || a.title.localeCompare(b.title));
   }
 
+  syRuleDefs.sort((a,b)=> (a.rank - b.rank) || (a.sequence - b.sequence) || a.title.localeCompare(b.title));
+  lunarDefs.sort((a,b)=> (a.rank - b.rank) || (a.sequence - b.sequence) || a.title.localeCompare(b.title));
   gyDefs.sort((a,b)=> (a.rank - b.rank) || (a.sequence - b.sequence) || a.title.localeCompare(b.title));
 
   state.data.syByKey = syByKey;
+  state.data.syRuleDefs = syRuleDefs;
+  state.data.lunarDefs = lunarDefs;
   state.data.gyDefs = gyDefs;
-  state.data.oneOffDefs = oneOffDefs;
-  state.data.overflowSlotOrder = buildOverflowSlotOrder();
+  state.data.csvOneOffDefs = oneOffDefs;
+  refreshOneOffDefs();
   buildLunarPhaseCache();
 }
 
 (async function init(){
+  const urlDay = applyUrlState(location.search);
+  restorePreferences(!!location.search);
   setUpTZList();
   bindControls();
+  registerServiceWorker();
+  el('viewSelect').value = state.view;
   await loadData();
   ensureEastWestOrder();
   mountClocks();
-  snapshotDay(DateTime.now().setZone(state.displayTZ).toISODate());
+  renderCountdowns();
+  snapshotDay(urlDay || DateTime.now().setZone(state.displayTZ).toISODate());
+  urlSyncEnabled = true;
+  prefsReady = true;
+  syncUrlState();
   tickClocks();
   setInterval(tickClocks, 1000);
+
+  // Waits for the MiAViG worker (or the localStorage copy) after the first paint.
+  setTimeout(async ()=>{
+    await deriveMiavigSpans();
+    renderCountdowns();
+    if(state.snapshot?.dateISO) snapshotDay(state.snapshot.dateISO);
+    else render();
+  }, 0);
 })();
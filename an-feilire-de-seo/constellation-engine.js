@@ -0,0 +1,125 @@
+// Constellation engine.
+//
+// Which IAU constellation a body is in (Astronomy.Constellation: geocentric,
+// apparent J2000 RA/Dec), when it crosses into the next one, and the spans where
+// several bodies sit in given constellations at once (e.g. MiAViG: Mars in
+// Aries AND Venus in Gemini). Kept free of luxon and the DOM so the same rules
+// run in the browser (app.js) and in Node (scripts/).
+//
+// Scans sample every stepDays and bisect each change down to REFINE_MS, so a
+// stay shorter than one step can be missed; the steps below are well under the
+// shortest stays these bodies make.
+
+const DAY_MS = 86400000;
+const REFINE_MS = 60000;
+
+export const BODY_STEP_DAYS = {
+  Sun: 1,
+  Moon: 0.125,
+  Mercury: 0.5,
+  Venus: 0.5,
+  Mars: 1,
+  Jupiter: 2,
+  Saturn: 2,
+};
+
+export function createConstellationEngine(Astronomy){
+  if(!Astronomy || typeof Astronomy.Constellation !== 'function'){
+    throw new Error('Astronomy Engine is not available.');
+  }
+
+  function constellationAt(bodyName, ms){
+    const body = Astronomy.Body[bodyName];
+    if(!body) throw new Error(`Unknown body "${bodyName}".`);
+
+    const eq = Astronomy.EquatorFromVector(Astronomy.GeoVector(body, new Date(ms), true));
+    const c = Astronomy.Constellation(eq.ra, eq.dec);
+    return { symbol: c.symbol, name: c.name };
+  }
+
+  // Last ms where test(lo) holds, given test(lo) && !test(hi).
+  function refineEdge(test, lo, hi){
+    while(hi - lo > REFINE_MS){
+      const mid = lo + Math.floor((hi - lo) / 2);
+      if(test(mid)) lo = mid;
+      else hi = mid;
+    }
+    return hi;
+  }
+
+  // Every change of constellation for one body in [fromMs, toMs).
+  function ingressesBetween(bodyName, fromMs, toMs, stepDays=BODY_STEP_DAYS[bodyName] || 1){
+    const stepMs = stepDays * DAY_MS;
+    const out = [];
+
+    let prevMs = fromMs;
+    let prev = constellationAt(bodyName, prevMs);
+
+    for(let ms = fromMs + stepMs; ms < toMs + stepMs; ms += stepMs){
+      const cur = constellationAt(bodyName, Math.min(ms, toMs));
+      if(cur.symbol !== prev.symbol){
+        const from = prev;
+        const atMs = refineEdge((t)=> constellationAt(bodyName, t).symbol === from.symbol, prevMs, Math.min(ms, toMs));
+        if(atMs < toMs){
+          out.push({ body: bodyName, utcMs: atMs, from, to: constellationAt(bodyName, atMs) });
+        }
+      }
+      prevMs = Math.min(ms, toMs);
+      prev = cur;
+    }
+
+    return out;
+  }
+
+  // Spans where every rule ({ body, symbol }) holds at once. The first rule is
+  // scanned coarsely (coarseDays); only its stays are scanned at fineDays.
+  // Spans shorter than minDays (edge grazes) are dropped.
+  function conjunctionSpans(rules, fromMs, toMs, { coarseDays=4, fineDays=0.5, minDays=0 }={}){
+    if(!rules.length) return [];
+
+    const holds = (rule, ms)=> constellationAt(rule.body, ms).symbol === rule.symbol;
+    const all = (ms)=> rules.every(rule => holds(rule, ms));
+
+    const coarseMs = coarseDays * DAY_MS;
+    const fineMs = fineDays * DAY_MS;
+    const windows = [];
+
+    let open = null;
+    for(let ms = fromMs; ms <= toMs; ms += coarseMs){
+      const inside = holds(rules[0], ms);
+      if(inside && !open) open = { fromMs: Math.max(fromMs, ms - coarseMs) };
+      if(!inside && open){
+        windows.push({ ...open, toMs: ms });
+        open = null;
+      }
+    }
+    if(open) windows.push({ ...open, toMs });
+
+    const spans = [];
+    for(const w of windows){
+      let prevMs = w.fromMs;
+      let prevIn = all(prevMs);
+      let startMs = prevIn ? prevMs : null;
+
+      for(let ms = w.fromMs + fineMs; ms < w.toMs + fineMs; ms += fineMs){
+        const t = Math.min(ms, w.toMs);
+        const cur = all(t);
+
+        if(cur && !prevIn) startMs = refineEdge((x)=> !all(x), prevMs, t);
+        if(!cur && prevIn){
+          spans.push({ startMs, endMs: refineEdge(all, prevMs, t) });
+          startMs = null;
+        }
+
+        prevMs = t;
+        prevIn = cur;
+      }
+
+      if(startMs !== null) spans.push({ startMs, endMs: w.toMs });
+    }
+
+    return spans.filter(s => s.endMs - s.startMs >= minDays * DAY_MS);
+  }
+
+  return { constellationAt, ingressesBetween, conjunctionSpans };
+}
@@ -0,0 +1,17 @@
+// Constellation worker: runs a constellation-engine.js conjunctionSpans() scan
+// off the main thread. app.js posts { rules, fromMs, toMs, options } and gets
+// back { spans } or { error }.
+
+// Same pinned build as app.js; keep the two URLs in step.
+import * as Astronomy from 'https://cdn.jsdelivr.net/npm/astronomy-engine@2.1.19/esm/astronomy.js';
+import { createConstellationEngine } from './constellation-engine.js';
+
+self.onmessage = (event)=>{
+  const { rules, fromMs, toMs, options } = event.data;
+  try{
+    const engine = createConstellationEngine(Astronomy);
+    self.postMessage({ spans: engine.conjunctionSpans(rules, fromMs, toMs, options) });
+  }catch(e){
+    self.postMessage({ error: String(e?.message || e) });
+  }
+};
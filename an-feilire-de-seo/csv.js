@@ -0,0 +1,96 @@
+// CSV helpers shared by the calendar (app.js), the data check (data-check.js)
+// and the Node scripts, so all of them read the data files the same way.
+//
+// parseCSV() is what loadData() uses. csvRecords() is the same parse with the
+// physical line numbers kept, for reporting.
+
+function splitCSVRows(text){
+  const rows = [];
+  let row = [];
+  let cur = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = (endLine)=>{
+    row.push(cur); cur='';
+    if(row.length > 1 || row[0] !== '') rows.push({ line: rowLine, endLine, cells: row });
+    row = [];
+  };
+
+  for(let i=0;i<text.length;i++){
+    const ch = text[i];
+    const next = text[i+1];
+
+    if(inQuotes){
+      if(ch === '"' && next === '"'){ cur += '"'; i++; continue; }
+      if(ch === '"'){ inQuotes = false; continue; }
+      if(ch === '\n' || (ch === '\r' && next !== '\n')) line++;
+      cur += ch;
+      continue;
+    }
+
+    if(ch === '"'){ inQuotes = true; continue; }
+    if(ch === ','){ row.push(cur); cur=''; continue; }
+
+    if(ch === '\r'){
+      if(next === '\n') i++;
+      endRow(line);
+      rowLine = ++line;
+      continue;
+    }
+
+    if(ch === '\n'){
+      endRow(line);
+      rowLine = ++line;
+      continue;
+    }
+
+    cur += ch;
+  }
+
+  endRow(line);
+  return { rows, unterminatedQuote: inQuotes };
+}
+
+export function csvRecords(text){
+  const { rows, unterminatedQuote } = splitCSVRows(String(text ?? ''));
+  if(rows.length === 0) return { headers: [], records: [], unterminatedQuote };
+
+  const headers = rows[0].cells.map(h => h.trim());
+  if(headers.length && headers[0].startsWith('\ufeff')){
+    headers[0] = headers[0].replace(/^\ufeff/, '');
+  }
+
+  const records = [];
+  for(let r=1;r<rows.length;r++){
+    const { line, endLine, cells } = rows[r];
+    const obj = {};
+    for(let c=0;c<headers.length;c++){
+      obj[headers[c]] = (cells[c] ?? '').trim();
+    }
+    records.push({
+      line,
+      endLine,
+      cells,
+      row: obj,
+      blank: cells.every(v => String(v).trim() === ''),
+    });
+  }
+
+  return { headers, records, unterminatedQuote };
+}
+
+export function parseCSV(text){
+  return csvRecords(text).records.filter(r => !r.blank).map(r => r.row);
+}
+
+export function pickField(row, candidates){
+  for(const key of candidates){
+    const v = row?.[key];
+    if(v !== undefined && v !== null && String(v).trim() !== ''){
+      return String(v).trim();
+    }
+  }
+  return '';
+}
@@ -0,0 +1,552 @@
+// AFdS data check.
+//
+// Re-reads every data file with the rules loadData() applies (csv.js for the
+// CSVs) and reports rows that never reach the calendar ('error': skipped by
+// loadData() or never matched by a rule) and rows that load but look wrong
+// ('warning'). Kept free of luxon and the DOM so data-check.html
+// and scripts/validate-afds-data.mjs share it.
+
+import { csvRecords, pickField } from './csv.js';
+import { TZKEY_MAP, zonedWallTimeToUtcMs } from './supermonth-engine.js';
+import { SONG_ROTATION } from './song-rotation.js';
+
+export const AFDS_DATA_FILES = [
+  { name: 'supermonths_config.json', kind: 'config' },
+  { name: 'AFdS_Special_Days.csv', kind: 'days' },
+  { name: 'AFdS_OneOff_StarSystems.csv', kind: 'oneoffs' },
+  { name: 'AFdS_MiAViG.csv', kind: 'oneoffs' },
+  { name: 'AFdS_Silent_Sounds.csv', kind: 'songs' },
+  { name: 'AFdS_Overflow.csv', kind: 'songs' },
+  { name: 'Set_Day_Songs.json', kind: 'setDaySongs' },
+  { name: 'AFdS_TZ_Itinerary.csv', kind: 'itinerary' },
+];
+
+const SY_RULE_ANCHORS = ['SY_NTH_DOW', 'SY_LAST_DOW', 'SY_LAST_DAY', 'SY_FULL_MOON', 'SY_EVERY_NTH_DAY'];
+const LUNAR_ANCHORS = ['LUNAR_FULL_AFTER', 'LUNAR_NEW_IN_SM', 'LUNAR_QUARTER_OFFSET'];
+const LUNAR_QUARTERS = ['new', 'first', 'full', 'last'];
+const DAY_ANCHORS = ['SY', ...SY_RULE_ANCHORS, ...LUNAR_ANCHORS, 'GY_FIXED', 'GY_NTH_DOW', 'GY_LAST_DOW', 'GY_LAST_DOW_BEFORE_DATE', 'GY_EASTER'];
+const BOOL_VALUES = ['true', 'false', '1', '0', 'yes', 'no', 'y', 'n'];
+const DAY_BOOL_FIELDS = ['All_Day', 'ShowOnCalendar', 'ShowInInspector', 'ShowNotesOnCalendar'];
+const URL_FIELDS = ['Spotify URL', 'Spotify_URL', 'spotify_url', 'URL', 'Url', 'url'];
+const TITLE_FIELDS = ['Song Title', 'Song_Title', 'title', 'Title'];
+const ITINERARY_PEOPLE = ['tamara', 'martin'];
+const SPOTIFY_TRACK_RE = /^https:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/[A-Za-z0-9]{22}(?:\?.*)?$/;
+
+function isBlank(v){ return String(v ?? '').trim() === ''; }
+
+function intOrNull(v){
+  const s = String(v ?? '').trim();
+  return /^-?\d+$/.test(s) ? Number(s) : null;
+}
+
+function isValidMonthDay(month, day){
+  if(!(month >= 1 && month <= 12) || !(day >= 1)) return false;
+  return day <= new Date(Date.UTC(2000, month, 0)).getUTCDate();
+}
+
+export function isValidTimeZone(zone){
+  try{
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  }catch(e){
+    return false;
+  }
+}
+
+// The formats parseDateTimeFlexible() accepts: ISO date / date-time and
+// "yyyy-MM-dd HH:mm[:ss]". Returns the wall time as "yyyy-MM-dd HH:mm:ss".
+export function parseWallTime(s){
+  const str = String(s ?? '').trim();
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+  if(!m) return null;
+
+  const [y, mo, d, h, mi, se] = m.slice(1).map(v => Number(v || 0));
+  if(!isValidMonthDay(mo, d) || (mo === 2 && d === 29 && new Date(Date.UTC(y, 1, 29)).getUTCDate() !== 29)) return null;
+  if(h > 23 || mi > 59 || se > 59) return null;
+
+  const pad = (n)=> String(n).padStart(2, '0');
+  return `${m[1]}-${m[2]}-${m[3]} ${pad(h)}:${pad(mi)}:${pad(se)}`;
+}
+
+function createReport(){
+  const issues = [];
+  const add = (level)=> (file, line, id, message)=> issues.push({ file, line, level, id: id || '', message });
+  return { issues, error: add('error'), warning: add('warning') };
+}
+
+// ---------- CSV files ----------
+function checkCSVShape(file, parsed, report){
+  if(parsed.unterminatedQuote){
+    const last = parsed.records[parsed.records.length - 1];
+    report.error(file, last?.line ?? 1, '', 'unterminated quote: the rest of the file is read as one field');
+  }
+
+  let blankFrom = null;
+  let blankTo = null;
+  const flushBlank = ()=>{
+    if(blankFrom === null) return;
+    report.warning(file, blankFrom, '', blankFrom === blankTo
+      ? 'blank row (only commas)'
+      : `${blankTo - blankFrom + 1} blank rows (only commas) up to line ${blankTo}`);
+    blankFrom = blankTo = null;
+  };
+
+  for(const rec of parsed.records){
+    if(rec.blank){
+      if(blankFrom === null) blankFrom = rec.line;
+      blankTo = rec.endLine;
+      continue;
+    }
+    flushBlank();
+
+    if(rec.endLine !== rec.line){
+      report.warning(file, rec.line, rec.row.ID || rec.row.id, `quoted field spans lines ${rec.line}–${rec.endLine}`);
+    }
+
+    if(rec.cells.length !== parsed.headers.length){
+      report.warning(file, rec.line, rec.row.ID || rec.row.id, `${rec.cells.length} fields, header has ${parsed.headers.length} (stray comma or quote?)`);
+    }
+  }
+  flushBlank();
+}
+
+function checkBoolFields(file, rec, id, fields, report){
+  for(const f of fields){
+    const v = rec.row[f];
+    if(isBlank(v)) continue;
+    if(!BOOL_VALUES.includes(String(v).trim().toLowerCase())){
+      report.warning(file, rec.line, id, `${f} "${v}" is not TRUE/FALSE`);
+    }
+  }
+}
+
+function checkIntFields(file, rec, id, fields, report){
+  for(const f of fields){
+    const v = rec.row[f];
+    if(!isBlank(v) && intOrNull(v) === null) report.warning(file, rec.line, id, `${f} "${v}" is not a whole number`);
+  }
+}
+
+// SY_Month is optional on rules: blank means every SuperMonth.
+function checkSeoianRule(anchor, r, err){
+  const month = intOrNull(r.SY_Month ?? r.sy_month);
+  const day = intOrNull(r.SY_Day ?? r.sy_day);
+  const nth = intOrNull(r.Nth ?? r.nth);
+  const weekday = intOrNull(r.Weekday ?? r.weekday);
+
+  if(month !== null && (month < 1 || month > 13)) err(`SY_Month ${month} is outside 1–13: never shown`);
+
+  if(anchor === 'SY_NTH_DOW' || anchor === 'SY_LAST_DOW'){
+    if(weekday === null) err(`${anchor} without Weekday: never shown`);
+    else if(weekday < 0 || weekday > 7) err(`Weekday ${weekday} is outside 0–7: never shown`);
+  }
+
+  if(anchor === 'SY_NTH_DOW'){
+    if(nth === null) err('SY_NTH_DOW without Nth: never shown');
+    else if(nth < 1) err(`Nth ${nth} is below 1: never shown`);
+  }
+
+  if(anchor === 'SY_FULL_MOON' && nth !== null && nth < 1) err(`Nth ${nth} is below 1: never shown`);
+
+  if(anchor === 'SY_EVERY_NTH_DAY'){
+    if(nth === null) err('SY_EVERY_NTH_DAY without Nth: never shown');
+    else if(nth < 1) err(`Nth ${nth} is below 1: never shown`);
+    if(day !== null && day < 1) err(`SY_Day ${day} is below 1: never shown`);
+  }
+}
+
+// LUNAR_FULL_AFTER is checked with the GY rows (it needs GY_Month/GY_Day).
+function checkLunarRule(anchor, r, err){
+  const nth = intOrNull(r.Nth ?? r.nth);
+  if(nth !== null && nth < 1) err(`Nth ${nth} is below 1: never shown`);
+
+  if(anchor === 'LUNAR_NEW_IN_SM'){
+    const month = intOrNull(r.SY_Month ?? r.sy_month);
+    if(month === null) err('LUNAR_NEW_IN_SM without SY_Month: never shown');
+    else if(month < 1 || month > 13) err(`SY_Month ${month} is outside 1–13: never shown`);
+  }
+
+  if(anchor === 'LUNAR_QUARTER_OFFSET'){
+    const q = String(r.Lunar_Quarter ?? r.lunar_quarter ?? '').trim().toLowerCase();
+    if(isBlank(q)) err('LUNAR_QUARTER_OFFSET without Lunar_Quarter: never shown');
+    else if(!/^[0-3]$/.test(q) && !LUNAR_QUARTERS.some(k => q.startsWith(k))){
+      err(`Lunar_Quarter "${q}" is not new/first/full/last or 0–3: never shown`);
+    }
+  }
+}
+
+function checkDayRow(file, rec, report){
+  const r = rec.row;
+  const id = r.ID || r.id || '';
+  const anchor = (r.Anchor_Type || r.anchor_type || 'SY').toUpperCase();
+  const err = (msg)=> report.error(file, rec.line, id, msg);
+  const warn = (msg)=> report.warning(file, rec.line, id, msg);
+
+  checkBoolFields(file, rec, id, DAY_BOOL_FIELDS, report);
+  checkIntFields(file, rec, id, ['Sequence', 'Rank', 'SY_Start_Year', 'Gregorian_First_Year', 'Offset_Days'], report);
+
+  const origin = r.Origin_Gregorian_Date || r.origin_gregorian_date || '';
+  const originMD = parseWallTime(origin);
+  if(!isBlank(origin) && !originMD) warn(`Origin_Gregorian_Date "${origin}" is not a date`);
+
+  const end = r.End_Gregorian_Date || r.end_gregorian_date || '';
+  if(!isBlank(end) && !parseWallTime(end)) warn(`End_Gregorian_Date "${end}" is not a date`);
+
+  if(!DAY_ANCHORS.includes(anchor)){
+    err(`unknown Anchor_Type "${anchor}": loaded but never shown`);
+    return;
+  }
+
+  if(anchor === 'SY'){
+    const month = intOrNull(r.SY_Month ?? r.sy_month);
+    const day = intOrNull(r.SY_Day ?? r.sy_day);
+    if(!month || !day) return err('SY row without SY_Month/SY_Day');
+    if(month < 1 || month > 13) return err(`SY_Month ${month} is outside 1–13: never shown`);
+    if(day < 1) return err(`SY_Day ${day} is below 1: never shown`);
+    return;
+  }
+
+  if(SY_RULE_ANCHORS.includes(anchor)) return checkSeoianRule(anchor, r, err);
+
+  if(anchor === 'LUNAR_NEW_IN_SM' || anchor === 'LUNAR_QUARTER_OFFSET') return checkLunarRule(anchor, r, err);
+
+  const gyMonth = intOrNull(r.GY_Month ?? r.gy_month) ?? (originMD ? Number(originMD.slice(5, 7)) : null);
+  const gyDay = intOrNull(r.GY_Day ?? r.gy_day) ?? (originMD ? Number(originMD.slice(8, 10)) : null);
+  const nth = intOrNull(r.Nth ?? r.nth);
+  const weekday = intOrNull(r.Weekday ?? r.weekday);
+
+  const needMonth = ()=> {
+    if(gyMonth === null) { err(`${anchor} without GY_Month: never shown`); return false; }
+    if(gyMonth < 1 || gyMonth > 12) { err(`GY_Month ${gyMonth} is outside 1–12: never shown`); return false; }
+    return true;
+  };
+  const needWeekday = ()=> {
+    if(weekday === null) { err(`${anchor} without Weekday: never shown`); return false; }
+    if(weekday < 0 || weekday > 7) { err(`Weekday ${weekday} is outside 0–7: never shown`); return false; }
+    return true;
+  };
+
+  if(anchor === 'GY_FIXED' || anchor === 'GY_LAST_DOW_BEFORE_DATE' || anchor === 'LUNAR_FULL_AFTER'){
+    if(needMonth() && (gyDay === null || !isValidMonthDay(gyMonth, gyDay))){
+      err(`GY_Month/GY_Day ${gyMonth}/${gyDay ?? '—'} is not a calendar date: never shown`);
+    }
+  }
+
+  if(anchor === 'GY_NTH_DOW'){
+    needMonth();
+    needWeekday();
+    if(nth === null) err('GY_NTH_DOW without Nth: never shown');
+    else if(nth < 1 || nth > 5) err(`Nth ${nth} is outside 1–5: never shown`);
+  }
+
+  if(anchor === 'LUNAR_FULL_AFTER' && nth !== null && nth < 1) err(`Nth ${nth} is below 1: never shown`);
+
+  if(anchor === 'GY_LAST_DOW' || anchor === 'GY_LAST_DOW_BEFORE_DATE'){
+    if(anchor === 'GY_LAST_DOW') needMonth();
+    needWeekday();
+  }
+}
+
+function checkOneOffRow(file, rec, report){
+  const r = rec.row;
+  const id = r.ID || r.id || r['\ufeffID'] || '';
+  const anchor = (r.Anchor_Type || r.anchor_type || 'GY_ONEOFF').toUpperCase();
+  const err = (msg)=> report.error(file, rec.line, id, msg);
+
+  checkBoolFields(file, rec, id, DAY_BOOL_FIELDS, report);
+  checkIntFields(file, rec, id, ['Sequence', 'Rank', 'Duration_Minutes'], report);
+
+  if(anchor !== 'GY_ONEOFF') return err(`Anchor_Type "${anchor}" is not GY_ONEOFF`);
+
+  const originTZ = String(r.Origin_TZ || r.origin_tz || 'America/Toronto').trim() || 'America/Toronto';
+  if(!isValidTimeZone(originTZ)) return err(`Origin_TZ "${originTZ}" is not an IANA zone`);
+
+  const originStr = r.Origin_Gregorian_Date || r.origin_gregorian_date || '';
+  const origin = parseWallTime(originStr);
+  if(!origin) return err(isBlank(originStr) ? 'no Origin_Gregorian_Date' : `Origin_Gregorian_Date "${originStr}" is not a date`);
+
+  const endStr = r.End_Gregorian_Date || r.end_gregorian_date || '';
+  const endTZ = String(r.End_TZ || r.end_tz || originTZ).trim() || originTZ;
+  if(isBlank(endStr)) return;
+
+  if(!isValidTimeZone(endTZ)) return report.warning(file, rec.line, id, `End_TZ "${endTZ}" is not an IANA zone: Duration_Minutes used instead`);
+
+  const end = parseWallTime(endStr);
+  if(!end) return report.warning(file, rec.line, id, `End_Gregorian_Date "${endStr}" is not a date: Duration_Minutes used instead`);
+
+  if(zonedWallTimeToUtcMs(end, endTZ) <= zonedWallTimeToUtcMs(origin, originTZ)){
+    err(`ends (${end} ${endTZ}) before it starts (${origin} ${originTZ})`);
+  }
+}
+
+// row: 1-based among the file's non-blank rows, as loadData() numbers them.
+function checkSongRow(file, rec, row, seenUrls, report){
+  const url = pickField(rec.row, URL_FIELDS);
+  const title = pickField(rec.row, TITLE_FIELDS);
+  const id = title || rec.row['#'] || '';
+
+  if(!url) return report.error(file, rec.line, id, 'no Spotify URL');
+  if(!title) report.warning(file, rec.line, id, 'no Song Title: shown as "Spotify Track"');
+  checkSpotifyUrl(file, rec.line, id, url, report);
+
+  if(seenUrls.has(url)){
+    report.warning(file, rec.line, id, `same track as line ${seenUrls.get(url)}`);
+  }else{
+    seenUrls.set(url, rec.line);
+  }
+
+  // Mirrors rotationJoinDates() in app.js: the first SONG_ROTATION.baseRows
+  // rows play from the start unless Added says otherwise; later rows need an
+  // Added date, or they stay out of the rotation.
+  if(file !== 'AFdS_Silent_Sounds.csv') return;
+  const added = pickField(rec.row, ['Added', 'added', 'Added_Date']);
+  const validAdded = /^\d{4}-\d{2}-\d{2}$/.test(added) && !!parseWallTime(added);
+
+  if(row > SONG_ROTATION.baseRows && !validAdded){
+    report.error(file, rec.line, id, `${added ? `Added "${added}" is not a yyyy-mm-dd date` : 'no Added date'}: rows after ${SONG_ROTATION.baseRows} need one, or the track never joins the rotation`);
+  }else if(added && !validAdded){
+    report.warning(file, rec.line, id, `Added "${added}" is not a yyyy-mm-dd date: the track joins the rotation from the start`);
+  }
+}
+
+// Mirrors spotifyTrackId() in app.js: without a track ID the Day Inspector
+// shows a plain link instead of the embedded player.
+function checkSpotifyUrl(file, line, id, url, report){
+  if(!/^https:\/\/open\.spotify\.com\//.test(url)) report.warning(file, line, id, `non-Spotify URL ${url}: no track ID, so no embedded player`);
+  else if(!SPOTIFY_TRACK_RE.test(url)) report.warning(file, line, id, `no Spotify track ID in ${url}: shown as a link, not an embedded player`);
+}
+
+// Mirrors buildItinerary() in app.js: bad rows are dropped and the clock
+// selections are used for those dates instead.
+function checkItineraryRow(file, rec, stops, report){
+  const r = rec.row;
+  const person = pickField(r, ['Person', 'person', 'Partner', 'partner']);
+  const from = pickField(r, ['From_Date', 'from_date', 'From', 'from']);
+  const to = pickField(r, ['To_Date', 'to_date', 'To', 'to']);
+  const zone = pickField(r, ['IANA_TZ', 'iana_tz', 'TZ', 'tz', 'Zone', 'zone']);
+  const err = (msg)=> report.error(file, rec.line, person, msg);
+  const isDate = (v)=> /^\d{4}-\d{2}-\d{2}$/.test(v) && !!parseWallTime(v);
+
+  if(!ITINERARY_PEOPLE.includes(person.toLowerCase())) return err(`Person "${person}" is not Tamara or Martin: row ignored`);
+  if(!isDate(from)) return err(`From_Date "${from}" is not a yyyy-mm-dd date: row ignored`);
+  if(to && !isDate(to)) return err(`To_Date "${to}" is not a yyyy-mm-dd date: row ignored`);
+  if(!isValidTimeZone(zone)) return err(`IANA_TZ "${zone}" is not an IANA zone: row ignored`);
+  if(to && to < from) return err(`To_Date ${to} is before From_Date ${from}: never applies`);
+
+  stops.push({ person: person.toLowerCase(), id: person, from, to: to || null, line: rec.line });
+}
+
+function checkItineraryOverlaps(file, stops, report){
+  for(const person of ITINERARY_PEOPLE){
+    const mine = stops.filter(s => s.person === person).sort((a,b)=> a.from.localeCompare(b.from));
+    for(let i=1;i<mine.length;i++){
+      const prev = mine[i-1];
+      if(prev.to === null || mine[i].from <= prev.to){
+        report.warning(file, mine[i].line, mine[i].id, `overlaps line ${prev.line}; the later From_Date wins`);
+      }
+    }
+  }
+}
+
+// ---------- JSON files ----------
+// JSON has no row numbers, so point at the nth line holding the value.
+function jsonLineOf(text, value, nth=0){
+  const lines = String(text).split(/\r?\n/);
+  const needle = JSON.stringify(value);
+  let seen = 0;
+  for(let i=0;i<lines.length;i++){
+    if(lines[i].includes(needle) && seen++ === nth) return i + 1;
+  }
+  return null;
+}
+
+function parseJSONFile(file, text, report){
+  try{
+    return JSON.parse(text);
+  }catch(e){
+    const pos = Number(String(e.message).match(/position (\d+)/)?.[1]);
+    const line = Number.isFinite(pos) ? String(text).slice(0, pos).split('\n').length : null;
+    report.error(file, line, '', `invalid JSON: ${e.message}`);
+    return undefined;
+  }
+}
+
+function checkConfig(file, text, report){
+  const config = parseJSONFile(file, text, report);
+  if(config === undefined) return;
+  if(!Array.isArray(config) || !config.length) return report.error(file, 1, '', 'expected a non-empty array of SuperMonths');
+
+  const seen = new Set();
+  for(const def of config){
+    const line = jsonLineOf(text, def?.monthName) ?? null;
+    const id = def?.monthName || `monthNo ${def?.monthNo}`;
+    const err = (msg)=> report.error(file, line, id, msg);
+
+    if(!Number.isInteger(def?.monthNo) || def.monthNo < 1 || def.monthNo > 13) err(`monthNo ${def?.monthNo} is outside 1–13`);
+    else if(seen.has(def.monthNo)) err(`duplicate monthNo ${def.monthNo}`);
+    seen.add(def?.monthNo);
+
+    if(!isValidMonthDay(Number(def?.anchorMonth), Number(def?.anchorDay))) err(`anchor ${def?.anchorMonth}/${def?.anchorDay} is not a calendar date`);
+    if(!Number.isInteger(Number(def?.anchorYearAdd ?? 0))) err(`anchorYearAdd ${def?.anchorYearAdd} is not a whole number`);
+    if(!TZKEY_MAP[def?.tzKey]) report.warning(file, line, id, `unknown tzKey "${def?.tzKey}": UTC used`);
+  }
+
+  if(seen.size !== 13) report.warning(file, 1, '', `${seen.size} SuperMonths defined, expected 13`);
+}
+
+function isSeoianDayKey(k){
+  const m = k.match(/^(\d{2})\/(\d{2})$/);
+  return !!m && Number(m[1]) >= 1 && Number(m[2]) >= 1 && Number(m[2]) <= 13;
+}
+
+function checkSetDaySong(file, line, id, entry, report){
+  if(isBlank(entry?.title)) report.warning(file, line, id, 'no title: shown as "Silent Sounds Track"');
+  if(isBlank(entry?.url)) report.warning(file, line, id, 'no url');
+  else checkSpotifyUrl(file, line, id, String(entry.url).trim(), report);
+}
+
+// Mirrors parseSetDayRange() in app.js. dayIds: Special Day ID -> Anchor_Type.
+function checkSetDayRanges(file, text, list, dayIds, report){
+  const isDate = (v)=> /^\d{4}-\d{2}-\d{2}$/.test(v) && !!parseWallTime(v);
+  const isMonthDay = (v)=> /^\d{2}-\d{2}$/.test(v) && isValidMonthDay(Number(v.slice(0, 2)), Number(v.slice(3)));
+
+  list.forEach((entry, i)=>{
+    const id = `range[${i}]`;
+    const dayId = String(entry?.dayId || '').trim();
+    const from = String(entry?.from || '').trim();
+    const to = String(entry?.to || '').trim();
+    const line = jsonLineOf(text, dayId || from || entry?.title);
+
+    if(dayId){
+      if(!dayIds.has(dayId)) return report.error(file, line, id, `dayId "${dayId}" is not a Special Day ID`);
+      if(!dayIds.get(dayId).startsWith('GY_')) return report.error(file, line, id, `dayId "${dayId}" is not a Gregorian (GY_) Special Day`);
+    }else if(isDate(from) && isDate(to)){
+      if(to < from) return report.error(file, line, id, `to ${to} is before from ${from}`);
+    }else if(!(isMonthDay(from) && isMonthDay(to))){
+      return report.error(file, line, id, `needs dayId, or from/to both yyyy-mm-dd or both MM-DD (got "${from}"–"${to}")`);
+    }
+
+    checkSetDaySong(file, line, id, entry, report);
+  });
+}
+
+function checkSetDaySongs(file, text, report, dayIds){
+  const raw = parseJSONFile(file, text, report);
+  if(raw === undefined) return;
+
+  const groups = [
+    ['exactDates', (e)=> String(e?.date || e?.exactDate || '').trim(), (k)=> /^\d{4}-\d{2}-\d{2}$/.test(k) && !!parseWallTime(k), 'date'],
+    ['gregorianRecurring', (e)=> String(e?.monthDay || '').trim(), (k)=> /^\d{2}-\d{2}$/.test(k) && isValidMonthDay(Number(k.slice(0, 2)), Number(k.slice(3))), 'monthDay'],
+    ['seoianRecurring', (e)=> String(e?.seoianDay || '').trim(), isSeoianDayKey, 'seoianDay'],
+  ];
+
+  const occurrence = new Map();
+  const lineFor = (value)=>{
+    const n = occurrence.get(value) || 0;
+    occurrence.set(value, n + 1);
+    return jsonLineOf(text, value, n);
+  };
+
+  for(const [group, keyOf, valid, field] of groups){
+    const list = raw?.[group];
+    if(list === undefined) continue;
+    if(!Array.isArray(list)){
+      report.error(file, jsonLineOf(text, group), group, `${group} is not an array`);
+      continue;
+    }
+
+    const seen = new Map();
+    list.forEach((entry, i)=>{
+      const key = keyOf(entry);
+      const line = key ? lineFor(key) : null;
+      const id = `${group}[${i}]`;
+
+      if(!valid(key)) return report.error(file, line, id, `${field} "${key}" is not valid`);
+      if(seen.has(key)) report.warning(file, line, id, `${field} ${key} repeats ${group}[${seen.get(key)}]; the later entry wins`);
+      seen.set(key, i);
+
+      checkSetDaySong(file, line, id, entry, report);
+    });
+  }
+
+  if(raw?.range === undefined) return;
+  if(!Array.isArray(raw.range)) return report.error(file, jsonLineOf(text, 'range'), 'range', 'range is not an array');
+  checkSetDayRanges(file, text, raw.range, dayIds, report);
+}
+
+// ---------- Entry point ----------
+// texts: { 'AFdS_Special_Days.csv': '...', ... } (missing files are reported).
+export function checkAfdsData(texts){
+  const report = createReport();
+  const idLines = new Map();
+  const dayAnchors = new Map();   // Special Day ID -> Anchor_Type, for Set Day Song dayIds
+  const counts = {};
+
+  for(const { name, kind } of AFDS_DATA_FILES){
+    const text = texts?.[name];
+    if(text === undefined || text === null){
+      report.error(name, null, '', 'file not found');
+      continue;
+    }
+
+    if(kind === 'config'){ checkConfig(name, text, report); continue; }
+    if(kind === 'setDaySongs'){ checkSetDaySongs(name, text, report, dayAnchors); continue; }
+
+    const parsed = csvRecords(text);
+    checkCSVShape(name, parsed, report);
+    const seenUrls = new Map();
+    const stops = [];
+    counts[name] = 0;
+
+    for(const rec of parsed.records){
+      if(rec.blank) continue;
+      counts[name]++;
+
+      if(kind === 'songs'){
+        checkSongRow(name, rec, counts[name], seenUrls, report);
+        continue;
+      }
+
+      if(kind === 'itinerary'){
+        checkItineraryRow(name, rec, stops, report);
+        continue;
+      }
+
+      const id = rec.row.ID || rec.row.id || '';
+      const title = rec.row.Title || rec.row.title || '';
+      if(!id || !title){
+        report.error(name, rec.line, id, !id ? 'no ID' : 'no Title');
+        continue;
+      }
+
+      // IDs are shared across files: one-off UIDs and search both key on them.
+      if(idLines.has(id)){
+        const prev = idLines.get(id);
+        report.warning(name, rec.line, id, `duplicate ID (first at ${prev.file}:${prev.line})`);
+      }else{
+        idLines.set(id, { file: name, line: rec.line });
+      }
+
+      if(kind === 'days'){
+        dayAnchors.set(id, String(rec.row.Anchor_Type || rec.row.anchor_type || 'SY').trim().toUpperCase());
+        checkDayRow(name, rec, report);
+      }else{
+        checkOneOffRow(name, rec, report);
+      }
+    }
+
+    if(kind === 'itinerary') checkItineraryOverlaps(name, stops, report);
+  }
+
+  const fileOrder = new Map(AFDS_DATA_FILES.map((f, i) => [f.name, i]));
+  const issues = report.issues.slice().sort((a,b)=>
+    fileOrder.get(a.file) - fileOrder.get(b.file) || (a.line ?? 0) - (b.line ?? 0)
+  );
+
+  return {
+    issues,
+    rowCounts: counts,
+    errors: issues.filter(i => i.level === 'error').length,
+    warnings: issues.filter(i => i.level === 'warning').length,
+  };
+}
@@ -0,0 +1,9 @@
+// Silent Sounds rotation settings, shared by app.js (the scheduler) and
+// data-check.js (which checks the Added dates the scheduler relies on).
+// Kept free of luxon and the DOM like the other shared modules.
+
+export const SONG_ROTATION = {
+  epochISO: '1994-01-19',   // Seoian 01/01/0001
+  seed: 'SilentSounds',
+  baseRows: 388             // AFdS_Silent_Sounds.csv rows that play from the start
+};
@@ -0,0 +1,181 @@
+// SuperMonth range engine.
+//
+// Builds SuperMonth records from supermonths_config.json with Astronomy Engine.
+// Kept free of luxon and the DOM so the same rules run in the browser (app.js)
+// and in Node (scripts/).
+//
+// Rule: a SuperMonth starts on its anchor date and ends on the first First
+// Quarter moon that falls on or after the start of the next SuperMonth, with
+// that date taken in the next SuperMonth's tzKey zone. Aisling (13) hands over
+// to Bairille (1) of the following Seoian year.
+
+export const TZKEY_MAP = {
+  ET_Toronto: 'America/Toronto',
+  AZ_Phoenix: 'America/Phoenix',
+  QLD_Brisbane: 'Australia/Brisbane',
+  ASTRONOMICAL_UTC: 'UTC',
+};
+
+// Seoian year 1 begins in Gregorian 1994.
+export const SEOIAN_YEAR_OFFSET = 1993;
+
+const FIRST_QUARTER_LON = 90;
+const DAY_MS = 86400000;
+
+const partsFormatters = new Map();
+
+function partsFormatter(zone){
+  if(!partsFormatters.has(zone)){
+    partsFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+  return partsFormatters.get(zone);
+}
+
+function pad(n, len=2){ return String(n).padStart(len, '0'); }
+
+export function zonedParts(date, zone){
+  const out = {};
+  for(const p of partsFormatter(zone).formatToParts(date)){
+    if(p.type !== 'literal') out[p.type] = Number(p.value);
+  }
+  if(out.hour === 24) out.hour = 0;
+  return out;
+}
+
+export function zonedDateISO(date, zone){
+  const p = zonedParts(date, zone);
+  return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+export function zonedDateTimeString(date, zone){
+  const p = zonedParts(date, zone);
+  return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+// "yyyy-MM-dd HH:mm:ss" wall time in zone -> UTC milliseconds.
+export function zonedWallTimeToUtcMs(str, zone){
+  const m = String(str ?? '').trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if(!m) return null;
+
+  const [y, mo, d, h, mi, se] = m.slice(1).map(v => Number(v || 0));
+  const wall = Date.UTC(y, mo - 1, d, h, mi, se);
+
+  let utc = wall;
+  for(let i=0;i<2;i++){
+    const p = zonedParts(new Date(utc), zone);
+    const seen = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    utc += wall - seen;
+  }
+  return utc;
+}
+
+export function zoneForTzKey(tzKey){
+  return TZKEY_MAP[tzKey] || 'UTC';
+}
+
+function isoFromYMD(year, month, day){
+  const d = new Date(Date.UTC(2000, month - 1, day));
+  d.setUTCFullYear(year);
+  return d.toISOString().slice(0, 10).replace(/^\+0*/, '');
+}
+
+export function superMonthStartISO(def, seoianYear){
+  const year = SEOIAN_YEAR_OFFSET + seoianYear + (Number(def.anchorYearAdd) || 0);
+  return isoFromYMD(year, Number(def.anchorMonth), Number(def.anchorDay));
+}
+
+function utcMidnightOf(dateISO){
+  const [y, m, d] = dateISO.split('-').map(Number);
+  const dt = new Date(Date.UTC(2000, m - 1, d));
+  dt.setUTCFullYear(y);
+  return dt;
+}
+
+// First First Quarter whose local date (in zone) is on or after dateISO.
+export function firstQuarterOnOrAfter(Astronomy, dateISO, zone){
+  let from = new Date(utcMidnightOf(dateISO).getTime() - DAY_MS);
+
+  for(let guard=0; guard<4; guard++){
+    const t = Astronomy.SearchMoonPhase(FIRST_QUARTER_LON, from, 40);
+    if(!t) return null;
+
+    const date = t.date;
+    if(zonedDateISO(date, zone) >= dateISO) return date;
+    from = new Date(date.getTime() + DAY_MS);
+  }
+
+  return null;
+}
+
+export function createSuperMonthEngine(config, Astronomy){
+  const defs = (Array.isArray(config) ? config : [])
+    .slice()
+    .sort((a,b)=> a.monthNo - b.monthNo);
+
+  if(!defs.length) throw new Error('SuperMonth config is empty.');
+  if(!Astronomy || typeof Astronomy.SearchMoonPhase !== 'function'){
+    throw new Error('Astronomy Engine is not available.');
+  }
+
+  const cache = new Map();
+
+  function nextOf(idx, seoianYear){
+    return (idx + 1 < defs.length)
+      ? { def: defs[idx + 1], seoianYear }
+      : { def: defs[0], seoianYear: seoianYear + 1 };
+  }
+
+  function buildYear(seoianYear){
+    const out = [];
+
+    for(let i=0;i<defs.length;i++){
+      const def = defs[i];
+      const next = nextOf(i, seoianYear);
+      const nextStartISO = superMonthStartISO(next.def, next.seoianYear);
+      const fqZone = zoneForTzKey(next.def.tzKey);
+      const fqDate = firstQuarterOnOrAfter(Astronomy, nextStartISO, fqZone);
+
+      if(!fqDate){
+        throw new Error(`No First Quarter found for ${def.monthName} ${seoianYear}.`);
+      }
+
+      out.push({
+        seoianYear,
+        monthNo: def.monthNo,
+        monthName: def.monthName,
+        extendedName: def.extendedName,
+        tzKey: def.tzKey,
+        anchor: { month: def.anchorMonth, day: def.anchorDay, yearAdd: def.anchorYearAdd },
+        start: superMonthStartISO(def, seoianYear),
+        end: zonedDateISO(fqDate, fqZone),
+        firstQuarter: zonedDateTimeString(fqDate, fqZone),
+        firstQuarterTZ: fqZone,
+        firstQuarterUtcMs: fqDate.getTime(),
+      });
+    }
+
+    return out;
+  }
+
+  function rangesForYear(seoianYear){
+    if(!cache.has(seoianYear)) cache.set(seoianYear, buildYear(seoianYear));
+    return cache.get(seoianYear);
+  }
+
+  function rangesForYears(fromYear, toYear){
+    const out = [];
+    for(let y=fromYear; y<=toYear; y++) out.push(...rangesForYear(y));
+    return out;
+  }
+
+  return { defs, rangesForYear, rangesForYears, hasYear: (y)=> cache.has(y) };
+}
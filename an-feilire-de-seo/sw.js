@@ -0,0 +1,182 @@
+// Service worker: keeps An Féilire de Seo working offline.
+//
+// Everything the calendar needs (app shell, data files, Friday Flowers and the
+// pinned CDN modules) is precached into one versioned cache on install.
+//   • App shell and data/*: answered from the cache, then refreshed from the
+//     network. When a file's contents differ from the cached copy the cache is
+//     updated and every open page is told, so it can offer "New data available"
+//     or "A new version of the calendar is available" with a Reload button.
+//     Data requests made with cache:'no-store' go to the network first instead
+//     and only fall back to the cache when offline.
+//   • CDN modules, images: cache first. Their URLs are pinned, so bump
+//     SW_VERSION when the CDN versions or the images change.
+// Nothing else needs a bump: shell and data files are revalidated on every
+// fetch, and editing the lists below changes sw.js, which reinstalls it into
+// the same cache.
+
+const SW_VERSION = 'afds-v15';
+
+const FRIDAY_FLOWERS_COUNT = 47;  // keep in step with FRIDAY_FLOWERS.count in app.js
+
+const CDN_MODULES = [
+  'https://cdn.jsdelivr.net/npm/luxon@3.7.2/build/global/luxon.min.js',
+  'https://cdn.jsdelivr.net/npm/astronomy-engine@2.1.19/esm/astronomy.js'
+];
+
+const APP_SHELL = [
+  './',
+  './index.html',
+  './app.js',
+  './styles.css',
+  './supermonth-engine.js',
+  './constellation-engine.js',
+  './constellation-worker.js',
+  './song-rotation.js',
+  './csv.js',
+  './data-check.html',
+  './data-check.js'
+];
+
+const DATA_FILES = [
+  './data/supermonths_config.json',
+  './data/supermonths_ranges_fallback.json',
+  './data/AFdS_Special_Days.csv',
+  './data/AFdS_Silent_Sounds.csv',
+  './data/AFdS_Overflow.csv',
+  './data/Set_Day_Songs.json',
+  './data/AFdS_OneOff_StarSystems.csv',
+  './data/AFdS_MiAViG.csv',
+  './data/AFdS_TZ_Itinerary.csv'
+];
+
+const FRIDAY_FLOWERS = Array.from({ length: FRIDAY_FLOWERS_COUNT }, (_, i)=>
+  `./images/friday-flowers/ff-${String(i + 1).padStart(3, '0')}.jpg`
+);
+
+const SCOPE = self.registration.scope;
+const DATA_SCOPE = new URL('./data/', SCOPE).href;
+
+const SHELL_URLS = new Set(APP_SHELL.map(url => new URL(url, SCOPE).href));
+
+// Data and shell responses are looked up by path alone (loadData never adds a
+// query; the calendar keeps its view in the page URL's query).
+const DATA_MATCH = { ignoreSearch: true, ignoreVary: true };
+
+function freshRequest(url){
+  return new Request(url, { cache: 'reload' });
+}
+
+self.addEventListener('install', (event)=>{
+  event.waitUntil((async ()=>{
+    const cache = await caches.open(SW_VERSION);
+    await cache.addAll([...APP_SHELL, ...DATA_FILES, ...CDN_MODULES].map(freshRequest));
+    // One missing image should not keep the calendar from going offline.
+    await Promise.allSettled(FRIDAY_FLOWERS.map(url => cache.add(freshRequest(url))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event)=>{
+  event.waitUntil((async ()=>{
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith('afds-') && k !== SW_VERSION).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+async function notifyChanged(type, url){
+  const file = new URL(url).pathname.split('/').pop();
+  const windows = await self.clients.matchAll({ type: 'window' });
+  for(const client of windows){
+    client.postMessage({ type, file });
+  }
+}
+
+async function storeIfChanged(cache, request, res, notifyType){
+  const cached = await cache.match(request, DATA_MATCH);
+  const before = cached ? await cached.text() : null;
+  const after = await res.clone().text();
+  if(before === after) return;
+
+  await cache.put(request.url.split('?')[0], res);
+  if(notifyType && before !== null) await notifyChanged(notifyType, request.url);
+}
+
+async function dataResponse(event){
+  const { request } = event;
+  const cache = await caches.open(SW_VERSION);
+
+  const network = fetch(request.url, { cache: 'no-store' }).then(async (res)=>{
+    if(res.ok) await storeIfChanged(cache, request, res.clone(), request.cache !== 'no-store' && 'afds-data-changed');
+    return res;
+  });
+
+  if(request.cache === 'no-store'){
+    try{
+      return await network;
+    }catch(e){
+      return (await cache.match(request, DATA_MATCH)) || Response.error();
+    }
+  }
+
+  const cached = await cache.match(request, DATA_MATCH);
+  if(cached){
+    event.waitUntil(network.catch(()=>{}));
+    return cached;
+  }
+  return network;
+}
+
+// Like data/*, so code changes reach installed copies without a SW_VERSION
+// bump. Page loads are matched without their query.
+async function shellResponse(event){
+  const cache = await caches.open(SW_VERSION);
+  const url = event.request.url.split('?')[0];
+
+  const network = fetch(url, { cache: 'no-store' }).then(async (res)=>{
+    if(res.ok) await storeIfChanged(cache, new Request(url), res.clone(), 'afds-code-changed');
+    return res;
+  });
+
+  const cached = await cache.match(url, DATA_MATCH);
+  if(cached){
+    event.waitUntil(network.catch(()=>{}));
+    return cached;
+  }
+  return network.catch(()=> Response.error());
+}
+
+async function cacheFirst(request){
+  const cache = await caches.open(SW_VERSION);
+  const navigate = request.mode === 'navigate';
+  const cached = await cache.match(request, { ignoreSearch: navigate });
+  if(cached) return cached;
+
+  try{
+    const res = await fetch(request);
+    if(res.ok && request.method === 'GET') cache.put(request, res.clone());
+    return res;
+  }catch(e){
+    if(navigate) return (await cache.match('./index.html')) || Response.error();
+    return Response.error();
+  }
+}
+
+self.addEventListener('fetch', (event)=>{
+  const { request } = event;
+  if(request.method !== 'GET') return;
+
+  if(request.url.startsWith(DATA_SCOPE)){
+    event.respondWith(dataResponse(event));
+    return;
+  }
+
+  if(SHELL_URLS.has(request.url.split('?')[0])){
+    event.respondWith(shellResponse(event));
+    return;
+  }
+
+  if(request.url.startsWith(SCOPE) || CDN_MODULES.includes(request.url)){
+    event.respondWith(cacheFirst(request));
+  }
+});
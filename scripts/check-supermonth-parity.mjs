@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/*
+ * SuperMonth Parity Checker
+ * -------------------------
+ * Regenerates every SuperMonth from an-feilire-de-seo/data/supermonths_config.json
+ * with the same engine the calendar uses (an-feilire-de-seo/supermonth-engine.js)
+ * and diffs it against the hand-maintained fallback file
+ * an-feilire-de-seo/data/supermonths_ranges_fallback.json.
+ *
+ * Per seoianYear/monthNo it compares:
+ *   • start          (days)
+ *   • end            (days)  ← this is what canonicalSeoianDate() depends on
+ *   • firstQuarter   (time difference, read in the zone the engine dates it in:
+ *                     the tzKey zone of the following SuperMonth)
+ *
+ * Rows are flagged ⚑ when the fallback and computed First Quarter instants
+ * fall on different local dates in that zone: a few minutes of drift across
+ * local midnight is what flips the SuperMonth end date.
+ *
+ * Requires: Node 20.19+ or 22+ (loads the calendar's plain .js ES module).
+ * No external deps. Astronomy Engine is the build app.js imports: the pinned
+ * jsDelivr URL is read from app.js and fetched, or pass --astronomy with a
+ * local copy of the same version (e.g. node_modules/astronomy-engine/esm/astronomy.js
+ * from `npm install --no-save astronomy-engine@<version>`).
+ *
+ * USAGE (examples)
+ * ----------------
+ * node scripts/check-supermonth-parity.mjs
+ * node scripts/check-supermonth-parity.mjs --tolerance 5 --limit 0
+ * node scripts/check-supermonth-parity.mjs --json ./parity-report.json
+ *
+ * Flags (optional)
+ * ----------------
+ *   --config ./an-feilire-de-seo/data/supermonths_config.json
+ *   --fallback ./an-feilire-de-seo/data/supermonths_ranges_fallback.json
+ *   --astronomy <path>    # local Astronomy Engine build instead of the CDN one
+ *   --tolerance 60        # minutes of firstQuarter drift allowed before reporting
+ *   --limit 50            # max mismatch rows to print (0 = all)
+ *   --json <path>         # also write the full report as JSON
+ *
+ * Exit code is 1 when any start/end date differs or a row is missing on either
+ * side, so the check can gate commits of the fallback file.
+ */
+
+// ---------------- Config from CLI ----------------
+const args = Object.fromEntries(process.argv.slice(2).reduce((acc, cur) => {
+  if (cur.startsWith("--")) { acc.push([cur.slice(2), true]); } else if (acc.length && acc[acc.length-1][1] === true) { acc[acc.length-1][1] = cur; } return acc; }, []));
+
+const CONFIG_PATH    = String(args.config    || "./an-feilire-de-seo/data/supermonths_config.json");
+const FALLBACK_PATH  = String(args.fallback  || "./an-feilire-de-seo/data/supermonths_ranges_fallback.json");
+const ASTRONOMY_PATH = typeof args.astronomy === "string" ? args.astronomy : null;
+const APP_JS         = "./an-feilire-de-seo/app.js";
+const TOLERANCE_MIN  = Number(args.tolerance ?? 60);
+const LIMIT          = Number(args.limit ?? 50);
+const JSON_OUT       = typeof args.json === "string" ? args.json : null;
+
+// ---------------- Imports ----------------
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import {
+  createSuperMonthEngine,
+  zonedDateISO,
+  zonedWallTimeToUtcMs,
+} from "../an-feilire-de-seo/supermonth-engine.js";
+
+// ---------------- Helpers ----------------
+const readJSON = (p)=> JSON.parse(fs.readFileSync(path.resolve(p), "utf8"));
+const DAY_MS = 86400000;
+
+const dayDiff = (aISO, bISO)=> Math.round((Date.parse(`${bISO}T00:00:00Z`) - Date.parse(`${aISO}T00:00:00Z`)) / DAY_MS);
+const label = (r)=> `${String(r.seoianYear).padStart(4, "0")}/${String(r.monthNo).padStart(2, "0")} ${r.monthName}`;
+
+/** Signed duration as "+1d 02:03:04" / "-00:01:35" */
+function fmtDelta(ms) {
+  const sign = ms < 0 ? "-" : "+";
+  let s = Math.round(Math.abs(ms) / 1000);
+  const d = Math.floor(s / 86400); s -= d * 86400;
+  const h = Math.floor(s / 3600);  s -= h * 3600;
+  const m = Math.floor(s / 60);    s -= m * 60;
+  const hms = [h, m, s].map(n=> String(n).padStart(2, "0")).join(":");
+  return `${sign}${d ? `${d}d ` : ""}${hms}`;
+}
+
+/** True when the two instants fall on different calendar dates in zone. */
+function crossesMidnight(aMs, bMs, zone) {
+  return zonedDateISO(new Date(aMs), zone) !== zonedDateISO(new Date(bMs), zone);
+}
+
+/** The astronomy-engine URL app.js imports, e.g. …/astronomy-engine@2.1.19/esm/astronomy.js */
+function pinnedAstronomyUrl() {
+  const m = fs.readFileSync(path.resolve(APP_JS), "utf8").match(/https:\/\/cdn\.jsdelivr\.net\/npm\/astronomy-engine@([^/'"]+)[^'"]*/);
+  if (!m) throw new Error(`No astronomy-engine import found in ${APP_JS}.`);
+  return { url: m[0], version: m[1] };
+}
+
+/** package.json of the npm package holding file, if any. */
+function packageOf(file) {
+  for (let dir = path.dirname(file); dir !== path.dirname(dir); dir = path.dirname(dir)) {
+    const p = path.join(dir, "package.json");
+    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, "utf8"));
+  }
+  return null;
+}
+
+/** Loads the Astronomy Engine build the calendar ships; refuses other versions. */
+async function loadAstronomy() {
+  const pinned = pinnedAstronomyUrl();
+
+  if (ASTRONOMY_PATH) {
+    const file = path.resolve(ASTRONOMY_PATH);
+    const pkg = packageOf(file);
+    if (!pkg || pkg.name !== "astronomy-engine") {
+      throw new Error(`Can't tell which astronomy-engine version ${ASTRONOMY_PATH} is (no package.json); app.js uses ${pinned.version}.`);
+    }
+    if (pkg.version !== pinned.version) {
+      throw new Error(`${ASTRONOMY_PATH} is astronomy-engine ${pkg.version}; app.js uses ${pinned.version}.`);
+    }
+    const mod = await import(pathToFileURL(file).href);
+    return { Astronomy: mod.default ?? mod, source: `${ASTRONOMY_PATH} (${pkg.version})` };
+  }
+
+  const res = await fetch(pinned.url).catch(err=> { throw new Error(`Can't fetch ${pinned.url} (${err.message}); pass --astronomy with a local ${pinned.version} build.`); });
+  if (!res.ok) throw new Error(`${pinned.url}: HTTP ${res.status}`);
+  const code = Buffer.from(await res.text()).toString("base64");
+  return { Astronomy: await import(`data:text/javascript;base64,${code}`), source: pinned.url };
+}
+
+// ---------------- Compare ----------------
+function compare(computed, fallback) {
+  const key = (r)=> `${r.seoianYear}|${r.monthNo}`;
+  const fbByKey = new Map(fallback.map(r=> [key(r), r]));
+  const seen = new Set();
+
+  const rows = [];
+  const missingInFallback = [];
+
+  for (const c of computed) {
+    const k = key(c);
+    const f = fbByKey.get(k);
+    if (!f) { missingInFallback.push(c); continue; }
+    seen.add(k);
+
+    const startDays = dayDiff(c.start, f.start);
+    const endDays = dayDiff(c.end, f.end);
+    const fbFqMs = zonedWallTimeToUtcMs(f.firstQuarter, c.firstQuarterTZ);
+    const fqDeltaMs = (fbFqMs === null) ? null : fbFqMs - c.firstQuarterUtcMs;
+
+    const straddles = fbFqMs !== null && crossesMidnight(fbFqMs, c.firstQuarterUtcMs, c.firstQuarterTZ);
+
+    const dateMismatch = startDays !== 0 || endDays !== 0;
+    const fqMismatch = fqDeltaMs === null || Math.abs(fqDeltaMs) > TOLERANCE_MIN * 60000;
+    if (!dateMismatch && !fqMismatch) continue;
+
+    rows.push({
+      seoianYear: c.seoianYear,
+      monthNo: c.monthNo,
+      monthName: c.monthName,
+      tzKey: c.tzKey,
+      firstQuarterTZ: c.firstQuarterTZ,
+      start: { fallback: f.start, computed: c.start, diffDays: startDays },
+      end: { fallback: f.end, computed: c.end, diffDays: endDays },
+      firstQuarter: {
+        fallback: f.firstQuarter,
+        computed: c.firstQuarter,
+        diffMs: fqDeltaMs,
+      },
+      dateMismatch,
+      straddlesMidnight: straddles,
+    });
+  }
+
+  const computedKeys = new Set(computed.map(key));
+  const missingInComputed = fallback.filter(r=> !computedKeys.has(key(r)));
+  return { rows, missingInFallback, missingInComputed };
+}
+
+function printRow(r) {
+  const parts = [label(r).padEnd(26)];
+  const days = (n)=> `fallback ${n > 0 ? "+" : ""}${n}d`;
+  if (r.start.diffDays) parts.push(`start ${r.start.fallback} vs computed ${r.start.computed} (${days(r.start.diffDays)})`);
+  if (r.end.diffDays) parts.push(`end ${r.end.fallback} vs computed ${r.end.computed} (${days(r.end.diffDays)})`);
+  parts.push(r.firstQuarter.diffMs === null
+    ? `FQ unparseable "${r.firstQuarter.fallback}"`
+    : `FQ fallback ${r.firstQuarter.fallback} vs computed ${r.firstQuarter.computed} ${r.firstQuarterTZ} (${fmtDelta(r.firstQuarter.diffMs)})`);
+  if (r.straddlesMidnight) parts.push("⚑ local midnight between them");
+  console.log(`  ${parts.join("  ")}`);
+}
+
+async function main() {
+  const config = readJSON(CONFIG_PATH);
+  const fallback = readJSON(FALLBACK_PATH);
+  const { Astronomy, source } = await loadAstronomy();
+
+  const years = fallback.map(r=> r.seoianYear);
+  const fromYear = Math.min(...years);
+  const toYear = Math.max(...years);
+
+  console.log(`SuperMonth parity: Seoian ${fromYear}–${toYear}, ${fallback.length} fallback rows, FQ tolerance ${TOLERANCE_MIN} min`);
+  console.log(`Astronomy Engine: ${source}`);
+
+  const engine = createSuperMonthEngine(config, Astronomy);
+  const computed = engine.rangesForYears(fromYear, toYear);
+  const { rows, missingInFallback, missingInComputed } = compare(computed, fallback);
+
+  const dateRows = rows.filter(r=> r.dateMismatch);
+  const driftRows = rows.filter(r=> !r.dateMismatch);
+  const flagged = dateRows.filter(r=> r.straddlesMidnight);
+
+  const show = (title, list)=> {
+    if (!list.length) return;
+    console.log(`\n${title} (${list.length})`);
+    const shown = LIMIT > 0 ? list.slice(0, LIMIT) : list;
+    shown.forEach(printRow);
+    if (shown.length < list.length) console.log(`  … ${list.length - shown.length} more (use --limit 0)`);
+  };
+
+  const biggestFirst = (a, b)=> Math.abs(b.firstQuarter.diffMs ?? Infinity) - Math.abs(a.firstQuarter.diffMs ?? Infinity);
+
+  show("Start/end date mismatches", dateRows);
+  show(`First Quarter drift over ${TOLERANCE_MIN} min (dates agree)`, driftRows.slice().sort(biggestFirst));
+
+  // The fallback legitimately stops mid-year (its last Aisling needs the next Bairille).
+  const lastYearOnly = missingInFallback.every(r=> r.seoianYear === toYear);
+  if (missingInFallback.length && !lastYearOnly) {
+    console.log(`\nMissing from fallback (${missingInFallback.length})`);
+    missingInFallback.slice(0, LIMIT || undefined).forEach(r=> console.log(`  ${label(r)}`));
+  }
+  if (missingInComputed.length) {
+    console.log(`\nIn fallback but not computed (${missingInComputed.length})`);
+    missingInComputed.slice(0, LIMIT || undefined).forEach(r=> console.log(`  ${label(r)}`));
+  }
+
+  console.log(`\nSummary: ${dateRows.length} date mismatches (${flagged.length} ⚑ midnight), ${driftRows.length} FQ drift only, ${missingInComputed.length + (lastYearOnly ? 0 : missingInFallback.length)} missing rows.`);
+
+  if (JSON_OUT) {
+    const payload = {
+      version: "supermonth-parity-v1",
+      computed_utc: new Date().toISOString(),
+      config: CONFIG_PATH,
+      fallback: FALLBACK_PATH,
+      tolerance_minutes: TOLERANCE_MIN,
+      range: { from_year: fromYear, to_year: toYear },
+      mismatches: rows,
+      missing_in_fallback: lastYearOnly ? [] : missingInFallback.map(r=> ({ seoianYear: r.seoianYear, monthNo: r.monthNo })),
+      missing_in_computed: missingInComputed.map(r=> ({ seoianYear: r.seoianYear, monthNo: r.monthNo })),
+    };
+    fs.writeFileSync(path.resolve(JSON_OUT), JSON.stringify(payload, null, 2));
+    console.log(`✓ Wrote report → ${JSON_OUT}`);
+  }
+
+  const failed = dateRows.length > 0 || missingInComputed.length > 0 || (!lastYearOnly && missingInFallback.length > 0);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(err=>{ console.error("\nERROR:", err?.message || err); process.exit(1); });
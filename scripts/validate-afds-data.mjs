@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/*
+ * AFdS Data Validator
+ * -------------------
+ * Checks every An Féilire de Seo data file (an-feilire-de-seo/data/) with the
+ * same rules the calendar uses to load them: CSVs go through the calendar's own
+ * parseCSV/pickField (an-feilire-de-seo/csv.js), and the checks themselves live in
+ * an-feilire-de-seo/data-check.js, which also drives data-check.html in the browser.
+ *
+ * Reports, per file and line:
+ *   • error    rows loadData() skips or that no rule ever matches
+ *              (missing ID/Title, unknown Anchor_Type, SY_Month > 13,
+ *              GY_NTH_DOW without Nth, end before start, bad Origin_TZ, …)
+ *   • warning  rows that load but look wrong (duplicate IDs, quoted fields that
+ *              spill over lines, blank comma-only rows, non-Spotify URLs, …)
+ *
+ * Requires: Node 20.19+ or 22+ (loads the calendar's plain .js ES modules).
+ * No external deps.
+ *
+ * USAGE (examples)
+ * ----------------
+ * node scripts/validate-afds-data.mjs
+ * node scripts/validate-afds-data.mjs --errors-only
+ * node scripts/validate-afds-data.mjs --json ./afds-data-report.json
+ *
+ * Flags (optional)
+ * ----------------
+ *   --data ./an-feilire-de-seo/data   # folder holding the data files
+ *   --errors-only                     # hide warnings
+ *   --limit 0                         # max issues printed per file (0 = all)
+ *   --json <path>                     # also write the full report as JSON
+ *
+ * Exit code is 1 when there is any error, so the check can gate data commits.
+ */
+
+// ---------------- Config from CLI ----------------
+const args = Object.fromEntries(process.argv.slice(2).reduce((acc, cur) => {
+  if (cur.startsWith("--")) { acc.push([cur.slice(2), true]); } else if (acc.length && acc[acc.length-1][1] === true) { acc[acc.length-1][1] = cur; } return acc; }, []));
+
+const DATA_DIR    = String(args.data || "./an-feilire-de-seo/data");
+const ERRORS_ONLY = !!args["errors-only"];
+const LIMIT       = Number(args.limit ?? 0);
+const JSON_OUT    = typeof args.json === "string" ? args.json : null;
+
+// ---------------- Imports ----------------
+import fs from "node:fs";
+import path from "node:path";
+import { AFDS_DATA_FILES, checkAfdsData } from "../an-feilire-de-seo/data-check.js";
+
+// ---------------- Helpers ----------------
+function readDataFiles(dir) {
+  const texts = {};
+  for (const { name } of AFDS_DATA_FILES) {
+    const p = path.resolve(dir, name);
+    if (fs.existsSync(p)) texts[name] = fs.readFileSync(p, "utf8");
+  }
+  return texts;
+}
+
+function printFile(name, issues) {
+  const shown = LIMIT > 0 ? issues.slice(0, LIMIT) : issues;
+  console.log(`\n${name} (${issues.length})`);
+  for (const i of shown) {
+    const where = `${i.line ?? "?"}`.padStart(5);
+    const mark = i.level === "error" ? "✗" : "!";
+    console.log(`  ${mark} ${where}  ${i.id ? `${i.id}: ` : ""}${i.message}`);
+  }
+  if (shown.length < issues.length) console.log(`  … ${issues.length - shown.length} more (use --limit 0)`);
+}
+
+async function main() {
+  const texts = readDataFiles(DATA_DIR);
+  const report = checkAfdsData(texts);
+  const issues = ERRORS_ONLY ? report.issues.filter(i=> i.level === "error") : report.issues;
+
+  console.log(`AFdS data check: ${DATA_DIR}`);
+  for (const { name } of AFDS_DATA_FILES) {
+    const mine = issues.filter(i=> i.file === name);
+    if (mine.length) printFile(name, mine);
+  }
+
+  const rows = Object.values(report.rowCounts).reduce((a, b)=> a + b, 0);
+  console.log(`\nSummary: ${rows} CSV rows checked, ${report.errors} errors, ${report.warnings} warnings.`);
+
+  if (JSON_OUT) {
+    const payload = {
+      version: "afds-data-check-v1",
+      computed_utc: new Date().toISOString(),
+      data_dir: DATA_DIR,
+      row_counts: report.rowCounts,
+      errors: report.errors,
+      warnings: report.warnings,
+      issues: report.issues,
+    };
+    fs.writeFileSync(path.resolve(JSON_OUT), JSON.stringify(payload, null, 2));
+    console.log(`✓ Wrote report → ${JSON_OUT}`);
+  }
+
+  process.exit(report.errors > 0 ? 1 : 0);
+}
+
+main().catch(err=>{ console.error("\nERROR:", err?.message || err); process.exit(1); });